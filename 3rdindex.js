@@ -11,6 +11,8 @@ const { WalletManager } = require('./wallet');
 const TransactionManager = require('./transaction');
 const ContractManager = require('./contracts');
 const TelegramFormatter = require('./telegram');
+const FeeManager = require('./fees');
+const BudgetManager = require('./budget');
 
 // Initialize Web3 and Bot
 const web3 = new Web3(CONFIG.RPC_URL);
@@ -21,6 +23,16 @@ const app = express();
 const walletManager = new WalletManager(CONFIG.MASTER_PASSWORD, web3);
 const txManager = new TransactionManager(web3);
 const contractManager = new ContractManager(web3, CONTRACT_ABI);
+const feeManager = new FeeManager(web3, {
+  strategy: CONFIG.FEE_STRATEGY,
+  fixedGasPrice: CONFIG.GAS_PRICE
+});
+const budgetManager = new BudgetManager(web3, {
+  mintValue: CONFIG.MAX_MINT_VALUE,
+  txFee: CONFIG.MAX_TX_FEE,
+  walletDaily: CONFIG.MAX_WALLET_DAILY_SPEND,
+  batchTotal: CONFIG.MAX_BATCH_SPEND
+});
 
 // Add default contract if no contracts exist
 if (contractManager.getAllContracts().length === 0) {
@@ -70,12 +82,22 @@ async function safeSendMessage(chatId, text, options = {}) {
   }
 }
 
+// Admin guard used by the contract configuration commands
+function checkAdminAccess(msg) {
+  return msg.from.id === CONFIG.ADMIN_ID;
+}
+
 // ========== CORE MINT FUNCTION ========== //
-async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
+async function sendMonadMintTx(walletAddress, msg, retryCount = 0, batchId = null) {
+  let nonceData = null;
+  let budgetHold = null;
+  let broadcastHash = null;
+  let fees;
+
   try {
     const wallet = walletManager.getWallet(walletAddress);
-    if (!wallet || !wallet.active) {
-      throw new Error(`Wallet ${walletAddress} not found or inactive`);
+    if (!wallet || !wallet.active || wallet.watchOnly) {
+      throw new Error(`Wallet ${walletAddress} not found, inactive or watch-only`);
     }
 
     const activeContractAddress = contractManager.getActiveContractAddress();
@@ -83,21 +105,17 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
       throw new Error('No active contract configured');
     }
 
-    const activeContract = contractManager.getActiveContract();
     const methodNames = contractManager.getActiveContractMethods();
-    if (!activeContract.methods[methodNames.mint]) {
-      throw new Error(`Mint method '${methodNames.mint}' not found in contract. Verify configuration.`);
-    }
+    const mintCall = contractManager.buildMintCall(wallet.address);
 
-    const mintPrice = await contractManager.getMintPrice();
-    let gasPrice;
+    const unitPrice = await contractManager.getMintPrice();
+    const mintPrice = web3.utils.toBN(unitPrice).muln(mintCall.quantity).toString();
     try {
-      const currentGasPrice = await web3.eth.getGasPrice();
-      gasPrice = Math.floor(parseInt(currentGasPrice) * 1.15).toString();
-      logger.info('Dynamic gas price', { current: currentGasPrice, adjusted: gasPrice });
+      fees = await feeManager.getFees();
+      logger.info('Dynamic fees', fees);
     } catch (e) {
-      gasPrice = CONFIG.GAS_PRICE;
-      logger.warn('Using fallback gas price', { price: gasPrice });
+      fees = feeManager.legacyFees('fixed', CONFIG.GAS_PRICE);
+      logger.warn('Using fallback gas price', { price: fees.gasPrice });
     }
 
     const gasLimit = 800000; // Adjusted gas limit
@@ -107,31 +125,44 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
       contractAddress: activeContractAddress,
       mintMethod: methodNames.mint,
       mintPrice,
-      gasPrice,
+      feeStrategy: fees.strategy,
       gasLimit
     });
 
     const account = web3.eth.accounts.privateKeyToAccount(wallet.privateKey);
-    const nonce = await txManager.getNonce(account.address);
-    const mintData = activeContract.methods[methodNames.mint]().encodeABI();
-
     const tx = {
       from: account.address,
       to: activeContractAddress,
-      data: mintData,
+      data: mintCall.data,
       gas: gasLimit,
-      gasPrice: gasPrice,
+      ...FeeManager.toTxFields(fees),
       chainId: CONFIG.CHAIN_ID,
-      nonce,
       value: mintPrice
     };
 
+    // Don't pay gas for a mint that is going to revert
+    const simulation = await txManager.simulateTransaction(tx, contractManager.getActiveAbi());
+    if (!simulation.success) {
+      const error = new Error(`Simulation failed: ${simulation.error}`);
+      error.simulation = simulation;
+      throw error;
+    }
+    // Refuse to sign anything that would go over a spending cap
+    budgetHold = budgetManager.reserve(account.address, {
+      value: mintPrice,
+      maxFee: feeManager.maxCost(fees, gasLimit),
+      batchId
+    });
+    nonceData = await txManager.getNonce(account.address);
+    tx.nonce = nonceData.nonce;
+
     logger.info('Transaction parameters', {
       from: account.address,
       to: activeContractAddress,
       method: methodNames.mint,
+      args: mintCall.args,
       gas: gasLimit,
-      gasPrice,
+      fees,
       value: mintPrice
     });
 
@@ -147,22 +178,49 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
 
     const receipt = await txManager.sendTransaction(signedTx, account.address, {
       to: activeContractAddress,
-      gasPrice: gasPrice,
+      fees,
       gasLimit: gasLimit,
       timeout: CONFIG.TX_TIMEOUT,
-      value: mintPrice
+      value: mintPrice,
+      abi: contractManager.getActiveAbi(),
+      onBroadcast: hash => {
+        broadcastHash = hash;
+        nonceData.commit();
+      }
     });
+    nonceData.commit();
+    budgetHold.commit(budgetManager.actualCost(receipt, mintPrice, fees.estimatedGasPrice));
 
     walletManager.updateLastUsed(account.address);
-    bot.sendMessage(msg.chat.id, TelegramFormatter.transactionSuccess(receipt.transactionHash, account.address), { parse_mode: 'Markdown' });
+    bot.sendMessage(msg.chat.id, TelegramFormatter.transactionSuccess(receipt.transactionHash, account.address, receipt.mintedTokens), { parse_mode: 'Markdown' });
     return receipt;
   } catch (error) {
-    if (error.message.includes('Maximum supply')) {
-      bot.sendMessage(msg.chat.id, `❌ Mint Failed: Maximum supply reached`, { parse_mode: 'Markdown' });
+    // No-op if the tx already reached the mempool
+    if (nonceData) {
+      nonceData.release();
+    }
+
+    // Mined reverts still paid gas, and a broadcast tx that timed out may yet land at full cost
+    if (budgetHold) {
+      if (error.receipt) {
+        budgetHold.commit(budgetManager.actualCost(error.receipt, '0', fees.estimatedGasPrice));
+      } else if (broadcastHash) {
+        budgetHold.commit();
+      } else {
+        budgetHold.release();
+      }
+    }
+
+    // A tx that reached the mempool but wasn't mined in time may still land, so another attempt
+    // under the next nonce could mint twice
+    if (broadcastHash && !error.receipt && !error.cancelled) {
+      logger.error('mint_stuck', { address: walletAddress, hash: broadcastHash, error: error.message });
+      bot.sendMessage(msg.chat.id, `⏳ Mint ${TelegramFormatter.code(broadcastHash)} was sent but not confirmed in time. It may still land, so it was not retried.`, { parse_mode: 'Markdown' });
       throw error;
     }
 
-    if (error.message.includes('not found in contract')) {
+    // Config errors, reverts and budget refusals fail the same way on every attempt
+    if (error.message.includes('not found in contract') || error.simulation || error.revert || error.budget || error.cancelled) {
       bot.sendMessage(msg.chat.id, `❌ ${error.message}`, { parse_mode: 'Markdown' });
       throw error;
     }
@@ -171,7 +229,7 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
       bot.sendMessage(msg.chat.id, `🔄 Retrying (${retryCount + 1}/${CONFIG.MAX_RETRY_COUNT})...\nError: ${error.message.substring(0, 100)}`, { parse_mode: 'Markdown' });
       const waitTime = 3000 * Math.pow(2, retryCount);
       await new Promise(resolve => setTimeout(resolve, waitTime));
-      return sendMonadMintTx(walletAddress, msg, retryCount + 1);
+      return sendMonadMintTx(walletAddress, msg, retryCount + 1, batchId);
     }
 
     logger.error('mint_failed', {
@@ -236,7 +294,9 @@ bot.onText(/\/mint/, async (msg) => {
   await safeSendMessage(msg.chat.id, `🚀 Starting batch mint with ${activeWallets.length} wallets on contract ${activeContractAddress.substring(0, 8)}...`);
   
   try {
-    const receipts = await Promise.all(activeWallets.map(wallet => sendMonadMintTx(wallet.address, msg)));
+    const batchId = budgetManager.startBatch();
+    const receipts = await Promise.all(activeWallets.map(wallet => sendMonadMintTx(wallet.address, msg, 0, batchId)))
+      .finally(() => budgetManager.endBatch(batchId));
     const successful = receipts.filter(r => r).length;
     await safeSendMessage(msg.chat.id, `🎉 Batch mint complete!\n✅ ${successful}/${activeWallets.length} successful`);
   } catch (error) {
@@ -245,6 +305,21 @@ bot.onText(/\/mint/, async (msg) => {
   }
 });
 
+bot.onText(/\/budget(?:\s+set\s+(\w+)\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+
+  if (match[1]) {
+    try {
+      budgetManager.setCap(match[1], match[2]);
+    } catch (error) {
+      return await safeSendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  }
+
+  const usage = budgetManager.getUsage(walletManager.getActiveWallets().map(w => w.address));
+  await safeSendMessage(msg.chat.id, TelegramFormatter.budgetReport(usage), { parse_mode: 'Markdown' });
+});
+
 bot.onText(/\/status/, async (msg) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
@@ -343,19 +418,7 @@ bot.onText(/\/inspectcontract/, async (msg) => {
       return bot.sendMessage(msg.chat.id, `❌ Inspection failed: ${inspectionResults.error}`);
     }
     
-    let message = '📋 *Contract Method Detection Results*\n\n';
-    
-    if (inspectionResults.methods.length > 0) {
-      message += '*Detected Methods:*\n';
-      inspectionResults.methods.forEach(method => {
-        message += `- \`${method}\`\n`;
-      });
-      
-      message += '\nUse `/setmethods mintMethod,totalSupplyMethod,maxSupplyMethod` to configure contract methods.';
-    } else {
-      message += '❌ Could not detect any standard methods.\n\n';
-      message += 'You may need to set methods manually with `/setmethods` command.';
-    }
+    let message = TelegramFormatter.inspectionReport(activeContractAddress, inspectionResults);
     
     // Add gas price info
     try {
@@ -382,11 +445,13 @@ bot.onText(/\/setmethods (.+)/, async (msg, match) => {
   }
   
   try {
-    // Parse method names from command (format: mintMethod,totalSupplyMethod,maxSupplyMethod)
-    const methods = match[1].trim().split(',');
+    // Parse method names from command (format: mintMethod,totalSupplyMethod,maxSupplyMethod [args])
+    const [, methodList, argText] = match[1].trim().match(/^(\S+)\s*(.*)$/);
+    const mintArgs = ContractManager.splitMintArgs(argText);
+    const methods = methodList.split(',');
     
     if (methods.length < 1 || methods.length > 3) {
-      return bot.sendMessage(msg.chat.id, '❌ Invalid format. Use: /setmethods mintMethod,totalSupplyMethod,maxSupplyMethod');
+      return bot.sendMessage(msg.chat.id, '❌ Invalid format. Use: /setmethods mintMethod,totalSupplyMethod,maxSupplyMethod [args]');
     }
     
     // Create methods object
@@ -397,12 +462,12 @@ bot.onText(/\/setmethods (.+)/, async (msg, match) => {
     };
     
     // Update contract methods
-    const updatedContract = contractManager.updateContractMethods(activeContractAddress, methodsObj);
+    const updatedContract = contractManager.updateContractMethods(activeContractAddress, methodsObj, mintArgs);
     
     bot.sendMessage(
       msg.chat.id, 
       `✅ Contract methods updated:\n` +
-      `Mint: ${methodsObj.mint}\n` +
+      `Mint: ${methodsObj.mint}(${mintArgs.join(', ')})\n` +
       `Total Supply: ${methodsObj.totalSupply}\n` +
       `Max Supply: ${methodsObj.maxSupply}`, 
       { parse_mode: 'Markdown' }
@@ -522,6 +587,15 @@ bot.onText(/\/addwallet (.+)/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
 
   const privateKey = match[1].trim();
+  
+  // Never leave the key in the chat history, and never take one in a group
+  bot.deleteMessage(msg.chat.id, msg.message_id).catch(error => 
+    logger.warn('Could not delete /addwallet message', { error: error.message })
+  );
+  if (msg.chat.type !== 'private') {
+    return await safeSendMessage(msg.chat.id, '🔒 Keys are only accepted in a private chat with the bot. Your message was deleted, treat the key as exposed.');
+  }
+  
   try {
     const address = walletManager.addWallet(privateKey);
     await safeSendMessage(msg.chat.id, `✅ Wallet added successfully!\nAddress: ${address}`);
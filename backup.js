@@ -0,0 +1,110 @@
+// backup.js
+const AdmZip = require('adm-zip');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Standard geth-style keystore file name
+function keystoreFileName(address, date = new Date()) {
+  return `keystore/UTC--${date.toISOString().replace(/:/g, '-')}--${address.toLowerCase().replace(/^0x/, '')}.json`;
+}
+
+// Zip of keystore V3 files, each encrypted with `password`, plus a manifest of labels, groups
+// and active state. The manifest holds no key material.
+function buildKeystoreArchive(web3, wallets, password) {
+  const zip = new AdmZip();
+  const manifest = { version: MANIFEST_VERSION, createdAt: new Date().toISOString(), wallets: [] };
+
+  wallets.forEach(wallet => {
+    const file = keystoreFileName(wallet.address);
+    const keystore = web3.eth.accounts.encrypt(wallet.privateKey, password);
+    zip.addFile(file, Buffer.from(JSON.stringify(keystore, null, 2)));
+
+    manifest.wallets.push({
+      address: wallet.address,
+      file,
+      label: wallet.label,
+      groups: wallet.groups || [],
+      active: wallet.active
+    });
+  });
+
+  zip.addFile(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+}
+
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Wallet entries ({ source, privateKey, label, groups, active } or { source, error }) from an
+// uploaded keystore archive or CSV
+function readWalletImport(web3, buffer, password = null) {
+  return isZip(buffer)
+    ? readKeystoreArchive(web3, buffer, password)
+    : readKeyCsv(buffer.toString('utf8'));
+}
+
+function readKeystoreArchive(web3, buffer, password) {
+  if (!password) {
+    throw new Error('A password is required to decrypt a keystore archive');
+  }
+
+  const zip = new AdmZip(buffer);
+  const manifestEntry = zip.getEntry(MANIFEST_FILE);
+  const manifest = manifestEntry ? JSON.parse(manifestEntry.getData().toString('utf8')) : { wallets: [] };
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`Archive manifest version ${manifest.version} is newer than this bot supports`);
+  }
+
+  // Keystores without a manifest entry (e.g. from another tool) are imported with defaults
+  const described = new Map(manifest.wallets.map(w => [w.file, w]));
+  const files = zip.getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName !== MANIFEST_FILE && entry.entryName.endsWith('.json'))
+    .map(entry => entry.entryName);
+
+  return files.map(file => {
+    const info = described.get(file) || {};
+    const source = info.label || file.split('/').pop();
+    try {
+      const keystore = JSON.parse(zip.getEntry(file).getData().toString('utf8'));
+      const account = web3.eth.accounts.decrypt(keystore, password);
+      return {
+        source,
+        privateKey: account.privateKey,
+        label: info.label || '',
+        groups: info.groups || [],
+        active: info.active !== false
+      };
+    } catch (error) {
+      return { source, error: /password/i.test(error.message) ? 'wrong password' : error.message };
+    }
+  });
+}
+
+// One key per line: privateKey[,label[,groups[,active]]]. Groups are separated by ';'.
+// A header line and lines starting with '#' are skipped.
+function readKeyCsv(text) {
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || /^"?private_?key"?\s*(,|$)/i.test(trimmed)) return;
+
+    const [privateKey, label = '', groups = '', active = ''] = trimmed.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+    entries.push({
+      source: `line ${i + 1}`,
+      privateKey,
+      label,
+      groups: groups ? groups.split(';').map(g => g.trim()).filter(Boolean) : [],
+      active: !/^(false|0|no|inactive)$/i.test(active)
+    });
+  });
+
+  return entries;
+}
+
+module.exports = {
+  buildKeystoreArchive,
+  readWalletImport
+};
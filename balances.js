@@ -0,0 +1,106 @@
+// balances.js
+const { logger, logAction } = require('./logger');
+const { executeBatch } = require('./batch');
+
+// ERC-721 balanceOf(owner), enough to count tokens held on the active contract
+const BALANCE_OF_ABI = [{
+  "inputs": [{"internalType": "address", "name": "owner", "type": "address"}],
+  "name": "balanceOf",
+  "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+  "stateMutability": "view",
+  "type": "function"
+}];
+
+class BalanceMonitor {
+  constructor(web3Instance, getWallets, onLowBalance, options = {}) {
+    this.web3 = web3Instance;
+    this.getWallets = getWallets;
+    this.onLowBalance = onLowBalance;
+    this.checkInterval = options.checkInterval || 300000;
+    this.threshold = this.web3.utils.toWei(String(options.threshold || '0'), 'ether');
+    this.concurrency = options.concurrency || 5;
+    this.alerted = new Set();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  // Native balance and NFT count on `contractAddress` (null if it has no ERC-721 balanceOf) per wallet
+  async getBalances(wallets, contractAddress = null, concurrency = this.concurrency) {
+    const contract = contractAddress ? new this.web3.eth.Contract(BALANCE_OF_ABI, contractAddress) : null;
+
+    // A few hundred wallets at once would flood the RPC, so read them in batches
+    const results = await executeBatch(wallets, async wallet => {
+      const balance = await this.web3.eth.getBalance(wallet.address);
+      let nfts = null;
+      if (contract) {
+        try {
+          nfts = parseInt(await contract.methods.balanceOf(wallet.address).call(), 10);
+        } catch (error) {
+          // ERC-1155 or no balanceOf
+        }
+      }
+      return { ...wallet, balance, nfts };
+    }, { concurrency });
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    return results.map(result => result.value);
+  }
+
+  setThreshold(amountEth) {
+    this.threshold = this.web3.utils.toWei(String(amountEth), 'ether');
+    this.alerted.clear();
+    logAction('low_balance_threshold_changed', { threshold: amountEth });
+  }
+
+  isLow(balance) {
+    const { toBN } = this.web3.utils;
+    return !toBN(this.threshold).isZero() && toBN(balance).lt(toBN(this.threshold));
+  }
+
+  start() {
+    if (this.timer || this.web3.utils.toBN(this.threshold).isZero()) return;
+
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    logger.info('Balance monitor started', { threshold: this.threshold, interval: this.checkInterval });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Alert once when a wallet drops under the threshold, and again only after it has recovered
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const balances = await this.getBalances(this.getWallets());
+      const low = [];
+
+      balances.forEach(wallet => {
+        const key = wallet.address.toLowerCase();
+        if (!this.isLow(wallet.balance)) {
+          this.alerted.delete(key);
+        } else if (!this.alerted.has(key)) {
+          this.alerted.add(key);
+          low.push(wallet);
+        }
+      });
+
+      if (low.length > 0) {
+        logAction('low_balance_detected', { wallets: low.map(w => w.address) });
+        await this.onLowBalance(low, this.threshold);
+      }
+    } catch (error) {
+      logger.error('Balance check error', { error: error.message });
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+module.exports = BalanceMonitor;
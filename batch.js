@@ -0,0 +1,50 @@
+// batch.js
+const { logger } = require('./logger');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `task` over every item with at most `concurrency` in flight and `delay` ms between starts.
+// Never rejects: each result is { item, status: 'fulfilled' | 'rejected', value | reason }.
+async function executeBatch(items, task, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const delay = Math.max(0, options.delay || 0);
+  const results = new Array(items.length);
+
+  let nextIndex = 0;
+  let nextStartAt = Date.now();
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+
+      // Stagger start times across all workers, not per worker
+      const startAt = nextStartAt;
+      nextStartAt = Math.max(startAt, Date.now()) + delay;
+      const wait = startAt - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      try {
+        results[index] = { item: items[index], status: 'fulfilled', value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { item: items[index], status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+
+  logger.info('Batch executed', {
+    total: items.length,
+    fulfilled: results.filter(r => r.status === 'fulfilled').length,
+    rejected: results.filter(r => r.status === 'rejected').length,
+    concurrency,
+    delay
+  });
+
+  return results;
+}
+
+module.exports = {
+  executeBatch
+};
@@ -0,0 +1,192 @@
+// budget.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger, logAction } = require('./logger');
+
+// Cap name -> description shown in /budget and in refusals
+const CAPS = {
+  mintValue: 'value per mint',
+  txFee: 'max fee per tx',
+  walletDaily: 'spend per wallet per day',
+  batchTotal: 'spend per batch'
+};
+
+// Keep this many days of per-wallet spend on disk
+const RETAIN_DAYS = 7;
+
+class BudgetManager {
+  constructor(web3Instance, caps = {}) {
+    this.web3 = web3Instance;
+    this.spendFile = './spending.json';
+    const stored = this.loadSpending();
+    this.spending = stored.days;
+    this.batches = new Map();
+
+    // Caps are held in wei, '0' disables a cap. Caps set with /budget set are saved and
+    // take precedence over the config.
+    this.capOverrides = stored.caps;
+    this.caps = {};
+    Object.keys(CAPS).forEach(name => {
+      this.caps[name] = this.capOverrides.hasOwnProperty(name)
+        ? this.capOverrides[name]
+        : this.web3.utils.toWei(String(caps[name] || '0'), 'ether');
+    });
+  }
+
+  static getCapNames() {
+    return Object.keys(CAPS);
+  }
+
+  // { caps, days }. Older files hold only the days map.
+  loadSpending() {
+    try {
+      if (fs.existsSync(this.spendFile)) {
+        const data = JSON.parse(fs.readFileSync(this.spendFile, 'utf8'));
+        return data.days ? { caps: data.caps || {}, days: data.days } : { caps: {}, days: data };
+      }
+      return { caps: {}, days: {} };
+    } catch (error) {
+      logger.error('Error loading spending:', error);
+      return { caps: {}, days: {} };
+    }
+  }
+
+  saveSpending() {
+    try {
+      fs.writeFileSync(this.spendFile, JSON.stringify({ caps: this.capOverrides, days: this.spending }, null, 2));
+    } catch (error) {
+      logger.error('Error saving spending', { error: error.message });
+    }
+  }
+
+  // UTC day the daily budget is counted against
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  getDay(day = this.today()) {
+    if (!this.spending[day]) {
+      this.spending[day] = {};
+
+      // Drop days that are too old to matter
+      Object.keys(this.spending).sort().slice(0, -RETAIN_DAYS).forEach(old => delete this.spending[old]);
+    }
+    return this.spending[day];
+  }
+
+  setCap(name, amountEth) {
+    if (!CAPS.hasOwnProperty(name)) {
+      throw new Error(`Unknown cap '${name}'. Use one of: ${BudgetManager.getCapNames().join(', ')}`);
+    }
+    if (!/^\d+(\.\d+)?$/.test(String(amountEth))) {
+      throw new Error('Cap must be a non-negative amount in MON (0 disables it)');
+    }
+
+    this.caps[name] = this.web3.utils.toWei(String(amountEth), 'ether');
+    this.capOverrides[name] = this.caps[name];
+    this.saveSpending();
+    logAction('budget_cap_changed', { cap: name, amount: amountEth });
+    return this.caps[name];
+  }
+
+  startBatch() {
+    const id = crypto.randomBytes(4).toString('hex');
+    this.batches.set(id, { spent: '0', startedAt: Date.now() });
+    return id;
+  }
+
+  endBatch(id) {
+    const batch = this.batches.get(id);
+    this.batches.delete(id);
+    return batch ? batch.spent : '0';
+  }
+
+  // Refuse a cost that would go over `cap`. used + requested must stay at or below the limit.
+  enforce(cap, used, requested, subject = null) {
+    const { toBN, fromWei } = this.web3.utils;
+    const limit = toBN(this.caps[cap]);
+    if (limit.isZero() || toBN(used).add(toBN(requested)).lte(limit)) return;
+
+    const error = new Error(
+      `Budget cap hit: ${CAPS[cap]}${subject ? ` (${subject})` : ''} — ` +
+      `needs ${fromWei(requested, 'ether')} MON, ` +
+      `${used !== '0' ? `${fromWei(used, 'ether')} MON already used, ` : ''}` +
+      `cap is ${fromWei(this.caps[cap], 'ether')} MON`
+    );
+    error.budget = { cap, limit: this.caps[cap], used, requested };
+    throw error;
+  }
+
+  // Check the hard per-tx fee cap on its own (used for speed-ups and cancels)
+  checkFee(maxFee) {
+    this.enforce('txFee', '0', maxFee);
+  }
+
+  // Hold the worst-case cost of a mint (value + gas limit × max fee) against every budget.
+  // The caller must commit(actualCost) or commit() once it's broadcast, or release() if it never is.
+  reserve(walletAddress, { value = '0', maxFee = '0', batchId = null } = {}) {
+    const { toBN } = this.web3.utils;
+    const amount = toBN(value).add(toBN(maxFee)).toString();
+    const day = this.today();
+    const key = walletAddress.toLowerCase();
+    const batch = batchId ? this.batches.get(batchId) : null;
+
+    this.enforce('mintValue', '0', value);
+    this.enforce('txFee', '0', maxFee);
+    this.enforce('walletDaily', this.getDay(day)[key] || '0', amount, walletAddress.substring(0, 10) + '...');
+    if (batch) {
+      this.enforce('batchTotal', batch.spent, amount);
+    }
+
+    this.adjust(day, key, batch, toBN(amount));
+
+    let settled = false;
+    return {
+      amount,
+      commit: (actualCost = amount) => {
+        if (settled) return;
+        settled = true;
+        this.adjust(day, key, batch, toBN(actualCost).sub(toBN(amount)));
+      },
+      release: () => {
+        if (settled) return;
+        settled = true;
+        this.adjust(day, key, batch, toBN(amount).neg());
+      }
+    };
+  }
+
+  adjust(day, key, batch, delta) {
+    const { toBN } = this.web3.utils;
+    const spent = this.getDay(day);
+    spent[key] = clampToZero(toBN(spent[key] || '0').add(delta)).toString();
+    if (batch) {
+      batch.spent = clampToZero(toBN(batch.spent).add(delta)).toString();
+    }
+    this.saveSpending();
+  }
+
+  // Gas actually paid by a mined tx, plus the value if it didn't revert
+  actualCost(receipt, value = '0', fallbackGasPrice = '0') {
+    const { toBN } = this.web3.utils;
+    const fee = toBN(receipt.gasUsed).mul(toBN(String(receipt.effectiveGasPrice || fallbackGasPrice)));
+    return (receipt.status === false ? fee : fee.add(toBN(value))).toString();
+  }
+
+  getUsage(addresses = []) {
+    const spent = this.spending[this.today()] || {};
+    return {
+      day: this.today(),
+      caps: Object.keys(CAPS).map(name => ({ name, description: CAPS[name], limit: this.caps[name] })),
+      wallets: addresses.map(address => ({ address, spent: spent[address.toLowerCase()] || '0' })),
+      batches: [...this.batches.entries()].map(([id, batch]) => ({ id, ...batch }))
+    };
+  }
+}
+
+// Spend never goes below zero, even if a release races a day rollover
+function clampToZero(value) {
+  return value.isNeg() ? value.muln(0) : value;
+}
+
+module.exports = BudgetManager;
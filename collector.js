@@ -0,0 +1,158 @@
+// collector.js
+const { logger } = require('./logger');
+const { TOPICS, decodeNftTransfers } = require('./events');
+
+const INTERFACE_IDS = {
+  ERC721: '0x80ac58cd',
+  ERC1155: '0xd9b67a26'
+};
+
+const NFT_ABI = [{
+  "inputs": [{"internalType": "bytes4", "name": "interfaceId", "type": "bytes4"}],
+  "name": "supportsInterface",
+  "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+  "stateMutability": "view",
+  "type": "function"
+}, {
+  "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+  "name": "ownerOf",
+  "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+  "stateMutability": "view",
+  "type": "function"
+}, {
+  "inputs": [
+    {"internalType": "address", "name": "account", "type": "address"},
+    {"internalType": "uint256", "name": "id", "type": "uint256"}
+  ],
+  "name": "balanceOf",
+  "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+  "stateMutability": "view",
+  "type": "function"
+}];
+
+// safeTransferFrom is overloaded, so encode against the exact entry for each standard
+const SAFE_TRANSFER_ABI = {
+  ERC721: {
+    name: 'safeTransferFrom',
+    type: 'function',
+    inputs: [
+      { type: 'address', name: 'from' },
+      { type: 'address', name: 'to' },
+      { type: 'uint256', name: 'tokenId' }
+    ]
+  },
+  ERC1155: {
+    name: 'safeTransferFrom',
+    type: 'function',
+    inputs: [
+      { type: 'address', name: 'from' },
+      { type: 'address', name: 'to' },
+      { type: 'uint256', name: 'id' },
+      { type: 'uint256', name: 'amount' },
+      { type: 'bytes', name: 'data' }
+    ]
+  }
+};
+
+class NftCollector {
+  constructor(web3Instance, options = {}) {
+    this.web3 = web3Instance;
+    this.scanDepth = options.scanDepth || 10000;
+    this.scanChunk = options.scanChunk || 100;
+  }
+
+  async detectStandard(contractAddress) {
+    const contract = new this.web3.eth.Contract(NFT_ABI, contractAddress);
+    for (const standard of ['ERC721', 'ERC1155']) {
+      try {
+        if (await contract.methods.supportsInterface(INTERFACE_IDS[standard]).call()) {
+          return standard;
+        }
+      } catch (error) {
+        // No ERC-165, fall through
+      }
+    }
+    return null;
+  }
+
+  // Incoming NFT transfers to any of `wallets` over the last scanDepth blocks, in RPC-friendly chunks
+  async scanTransfers(contractAddress, wallets) {
+    const walletTopics = wallets.map(address => '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0'));
+    const latest = await this.web3.eth.getBlockNumber();
+    const transfers = [];
+
+    for (let from = Math.max(0, latest - this.scanDepth); from <= latest; from += this.scanChunk) {
+      const to = Math.min(from + this.scanChunk - 1, latest);
+      const [erc721, erc1155] = await Promise.all([
+        this.web3.eth.getPastLogs({
+          address: contractAddress, fromBlock: from, toBlock: to,
+          topics: [TOPICS.TRANSFER, null, walletTopics]
+        }),
+        this.web3.eth.getPastLogs({
+          address: contractAddress, fromBlock: from, toBlock: to,
+          topics: [[TOPICS.TRANSFER_SINGLE, TOPICS.TRANSFER_BATCH], null, null, walletTopics]
+        })
+      ]);
+      transfers.push(...decodeNftTransfers([...erc721, ...erc1155]));
+    }
+
+    return transfers;
+  }
+
+  // Token IDs each wallet currently holds on the contract. `knownTokens` are recorded mints
+  // ({ to, tokenId, standard }); a Transfer log scan adds anything received some other way.
+  async findHoldings(contractAddress, wallets, knownTokens = []) {
+    let scanned = [];
+    try {
+      scanned = await this.scanTransfers(contractAddress, wallets);
+    } catch (error) {
+      logger.warn('Transfer log scan failed, using recorded mints only', { contract: contractAddress, error: error.message });
+    }
+
+    const standard = [...knownTokens, ...scanned].map(t => t.standard).find(Boolean) ||
+      await this.detectStandard(contractAddress);
+    if (!standard) {
+      throw new Error('Contract is neither ERC-721 nor ERC-1155');
+    }
+
+    // Candidate (wallet, tokenId) pairs, then keep only what is still held
+    const candidates = new Map();
+    [...knownTokens, ...scanned].forEach(t => {
+      const wallet = wallets.find(w => w.toLowerCase() === t.to.toLowerCase());
+      if (wallet) candidates.set(`${wallet.toLowerCase()}:${t.tokenId}`, { wallet, tokenId: t.tokenId });
+    });
+
+    const contract = new this.web3.eth.Contract(NFT_ABI, contractAddress);
+    const holdings = [];
+    for (const { wallet, tokenId } of candidates.values()) {
+      try {
+        if (standard === 'ERC721') {
+          const owner = await contract.methods.ownerOf(tokenId).call();
+          if (owner.toLowerCase() === wallet.toLowerCase()) {
+            holdings.push({ wallet, tokenId, amount: '1', standard });
+          }
+        } else {
+          const balance = await contract.methods.balanceOf(wallet, tokenId).call();
+          if (balance !== '0') {
+            holdings.push({ wallet, tokenId, amount: balance, standard });
+          }
+        }
+      } catch (error) {
+        // Burned or otherwise gone
+      }
+    }
+
+    return { standard, holdings };
+  }
+
+  // Calldata moving one holding from its wallet to `vault`
+  encodeTransfer(holding, vault) {
+    const abi = SAFE_TRANSFER_ABI[holding.standard];
+    const args = holding.standard === 'ERC721'
+      ? [holding.wallet, vault, holding.tokenId]
+      : [holding.wallet, vault, holding.tokenId, holding.amount, '0x'];
+    return this.web3.eth.abi.encodeFunctionCall(abi, args);
+  }
+}
+
+module.exports = NftCollector;
@@ -8,6 +8,8 @@ const CONFIG = {
   CHAIN_ID: parseInt(process.env.CHAIN_ID || '10143', 10),
   GAS_PRICE: process.env.GAS_PRICE || '1000000000', // 1 Gwei in wei
   GAS_LIMIT: parseInt(process.env.GAS_LIMIT || '500000', 10),
+  FEE_STRATEGY: process.env.FEE_STRATEGY || 'normal', // eco, normal, aggressive or fixed
+  RBF_BUMP_PERCENT: parseInt(process.env.RBF_BUMP_PERCENT || '15', 10), // min fee bump for speed-up/cancel
 
   // Telegram Settings
   TELEGRAM_TOKEN: process.env.TELEGRAM_TOKEN || '8044535899:AAGeJtCM8gV2GH-vlWerY-ie-y_K6phFmwY',
@@ -17,16 +19,102 @@ const CONFIG = {
   // Security Settings
   MASTER_PASSWORD: process.env.MASTER_PASSWORD || 'change-this-in-production',
   TX_TIMEOUT: parseInt(process.env.TX_TIMEOUT || '120000', 10), // 2 minutes
-  MAX_RETRY_COUNT: parseInt(process.env.MAX_RETRY_COUNT || '2', 10)
+  MAX_RETRY_COUNT: parseInt(process.env.MAX_RETRY_COUNT || '2', 10),
+
+  // Spending Caps (in MON, 0 disables a cap)
+  MAX_MINT_VALUE: process.env.MAX_MINT_VALUE || '1',
+  MAX_TX_FEE: process.env.MAX_TX_FEE || '0.5',
+  MAX_WALLET_DAILY_SPEND: process.env.MAX_WALLET_DAILY_SPEND || '5',
+  MAX_BATCH_SPEND: process.env.MAX_BATCH_SPEND || '50',
+
+  // Sweep Settings
+  SWEEP_KEEP: process.env.SWEEP_KEEP || '0', // MON left in each wallet by /sweep
+
+  // Collect Settings
+  COLLECT_SCAN_BLOCKS: parseInt(process.env.COLLECT_SCAN_BLOCKS || '10000', 10), // Transfer logs scanned by /collect
+  LOG_SCAN_CHUNK: parseInt(process.env.LOG_SCAN_CHUNK || '100', 10), // max block range per eth_getLogs
+
+  // Balance Alerts
+  LOW_BALANCE_THRESHOLD: process.env.LOW_BALANCE_THRESHOLD || '0.1', // MON, 0 disables alerts
+  BALANCE_CHECK_INTERVAL: parseInt(process.env.BALANCE_CHECK_INTERVAL || '300000', 10), // 5 minutes
+
+  // Batch Settings
+  BATCH_CONCURRENCY: parseInt(process.env.BATCH_CONCURRENCY || '5', 10),
+  BATCH_DELAY: parseInt(process.env.BATCH_DELAY || '0', 10), // ms between wallet starts
+
+  // Scheduler Settings
+  SCHEDULE_POLL_INTERVAL: parseInt(process.env.SCHEDULE_POLL_INTERVAL || '1000', 10), // 1 second
+  SCHEDULE_GRACE_PERIOD: parseInt(process.env.SCHEDULE_GRACE_PERIOD || '300000', 10), // 5 minutes
+  WATCH_POLL_INTERVAL: parseInt(process.env.WATCH_POLL_INTERVAL || '500', 10) // 0.5 seconds
 };
 
-// Contract ABI for NFT minting
+// Contract ABI for NFT minting, including the common mint signatures
 const CONTRACT_ABI = [{
   "inputs": [],
   "name": "mint",
   "outputs": [],
   "stateMutability": "payable",
   "type": "function"
+}, {
+  "inputs": [{"internalType": "uint256", "name": "quantity", "type": "uint256"}],
+  "name": "mint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [
+    {"internalType": "address", "name": "to", "type": "address"},
+    {"internalType": "uint256", "name": "quantity", "type": "uint256"}
+  ],
+  "name": "mint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [],
+  "name": "publicMint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [{"internalType": "uint256", "name": "quantity", "type": "uint256"}],
+  "name": "publicMint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [{"internalType": "uint256", "name": "quantity", "type": "uint256"}],
+  "name": "mintPublic",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [
+    {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+    {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}
+  ],
+  "name": "mint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [
+    {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+    {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}
+  ],
+  "name": "allowlistMint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
+}, {
+  "inputs": [
+    {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+    {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}
+  ],
+  "name": "whitelistMint",
+  "outputs": [],
+  "stateMutability": "payable",
+  "type": "function"
 }, {
   "inputs": [],
   "name": "totalSupply",
@@ -39,6 +127,20 @@ const CONTRACT_ABI = [{
   "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
   "stateMutability": "view",
   "type": "function"
+},
+// Common custom errors, used to decode revert data
+{"inputs": [], "name": "MaxPerWalletExceeded", "type": "error"},
+{"inputs": [], "name": "MaxSupplyExceeded", "type": "error"},
+{"inputs": [], "name": "SaleNotActive", "type": "error"},
+{"inputs": [], "name": "InvalidProof", "type": "error"},
+{"inputs": [], "name": "MintZeroQuantity", "type": "error"},
+{
+  "inputs": [
+    {"internalType": "uint256", "name": "required", "type": "uint256"},
+    {"internalType": "uint256", "name": "provided", "type": "uint256"}
+  ],
+  "name": "InsufficientPayment",
+  "type": "error"
 }];
 
 // Function to update contract address
@@ -2,6 +2,25 @@
 const fs = require('fs');
 const { logger, logAction } = require('./logger');
 const Validator = require('./validation');
+const { extractSelectors, matchSelectors, resolveProxy } = require('./selectors');
+
+// Placeholders allowed in a mint argument template, resolved per wallet at send time
+const MINT_PLACEHOLDERS = {
+  '{wallet}': { types: /^address$/, resolve: values => values.wallet },
+  '{qty}': { types: /^u?int\d*$/, resolve: values => values.qty.toString() },
+  '{proof}': { types: /^bytes32\[\]$/, resolve: values => values.proof }
+};
+
+// Convert a literal template argument into the value web3 expects for its ABI type
+function parseLiteralArg(type, value) {
+  if (type.endsWith(']') || type.startsWith('(')) {
+    return JSON.parse(value);
+  }
+  if (type === 'bool') {
+    return value === 'true';
+  }
+  return value;
+}
 
 class ContractManager {
   constructor(web3Instance, contractABI) {
@@ -36,19 +55,13 @@ class ContractManager {
     const activeContract = this.contracts.find(c => c.active);
     
     if (activeContract) {
-      this.activeContract = new this.web3.eth.Contract(
-        this.contractABI, 
-        activeContract.address
-      );
+      this.activeContract = this.createInstance(activeContract.address);
       return activeContract.address;
     } else if (this.contracts.length > 0) {
       // Set first contract as active if none is active
       this.contracts[0].active = true;
       this.saveContracts();
-      this.activeContract = new this.web3.eth.Contract(
-        this.contractABI, 
-        this.contracts[0].address
-      );
+      this.activeContract = this.createInstance(this.contracts[0].address);
       return this.contracts[0].address;
     }
     
@@ -59,6 +72,156 @@ class ContractManager {
     return this.activeContract;
   }
   
+  // A contract's imported ABI, or the built-in default when none was imported
+  getContractAbi(address) {
+    const contract = address && this.contracts.find(c => 
+      c.address.toLowerCase() === address.toLowerCase()
+    );
+    return (contract && contract.abi) || this.contractABI;
+  }
+  
+  getActiveAbi() {
+    return this.getContractAbi(this.getActiveContractAddress());
+  }
+  
+  createInstance(address) {
+    return new this.web3.eth.Contract(this.getContractAbi(address), address);
+  }
+  
+  // Split /setmethods arguments on whitespace, keeping bracketed and quoted literals such as
+  // `[1, 2]` or `"two words"` whole. A fully quoted argument is unquoted.
+  static splitMintArgs(text) {
+    const args = [];
+    const closers = { '[': ']', '(': ')', '{': '}' };
+    const stack = [];
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        current += char;
+        if (char === '\\') {
+          current += text[++i] || '';
+        } else if (char === '"') {
+          quoted = false;
+        }
+      } else if (char === '"') {
+        quoted = true;
+        current += char;
+      } else if (closers[char]) {
+        stack.push(closers[char]);
+        current += char;
+      } else if (char === ']' || char === ')' || char === '}') {
+        if (stack.pop() !== char) {
+          throw new Error(`Unexpected '${char}' in mint arguments`);
+        }
+        current += char;
+      } else if (/\s/.test(char) && stack.length === 0) {
+        if (current) args.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    
+    if (quoted || stack.length > 0) {
+      throw new Error('Unclosed bracket or quote in mint arguments');
+    }
+    if (current) args.push(current);
+    
+    return args.map(arg => /^".*"$/.test(arg) ? JSON.parse(arg) : arg);
+  }
+  
+  // Accept a bare ABI array, a Hardhat/Foundry artifact ({ abi }) or an explorer response ({ result: "<json>" })
+  static parseAbi(input) {
+    let abi = typeof input === 'string' ? JSON.parse(input) : input;
+    if (abi && !Array.isArray(abi)) {
+      abi = abi.abi || abi.result;
+      if (typeof abi === 'string') abi = JSON.parse(abi);
+    }
+    
+    if (!Array.isArray(abi)) {
+      throw new Error('Expected a JSON ABI array');
+    }
+    
+    const types = ['function', 'event', 'error', 'constructor', 'fallback', 'receive'];
+    abi.forEach((item, index) => {
+      if (!item || !types.includes(item.type || 'function')) {
+        throw new Error(`ABI entry ${index + 1} has an unknown type '${item && item.type}'`);
+      }
+      if ((item.type || 'function') === 'function' && !item.name) {
+        throw new Error(`ABI entry ${index + 1} is a function without a name`);
+      }
+    });
+    if (!abi.some(item => (item.type || 'function') === 'function')) {
+      throw new Error('ABI has no functions');
+    }
+    
+    // Older ABIs may omit the type or empty inputs, the encoders expect both
+    return abi.map(item => ({ ...item, type: item.type || 'function', inputs: item.inputs || [] }));
+  }
+  
+  // Attach a full ABI to a saved contract (null goes back to the default). It drives method
+  // detection, mint template validation, calldata encoding and event/error decoding.
+  setContractAbi(address, abiInput) {
+    const contract = this.contracts.find(c => 
+      c.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+    
+    const abi = abiInput === null ? null : ContractManager.parseAbi(abiInput);
+    if (abi) {
+      contract.abi = abi;
+    } else {
+      delete contract.abi;
+    }
+    this.saveContracts();
+    
+    if (contract.active) {
+      this.activeContract = this.createInstance(contract.address);
+    }
+    
+    logAction('contract_abi_updated', { 
+      address, 
+      entries: abi ? abi.length : 0, 
+      reset: !abi 
+    });
+    
+    return contract;
+  }
+  
+  // Counts and likely mint functions in a contract's ABI, for /setabi replies. `mintError` says
+  // why the saved mint method and arguments don't fit the ABI, if they don't.
+  summarizeAbi(address) {
+    const abi = this.getContractAbi(address);
+    const functions = abi.filter(item => item.type === 'function');
+    const contract = this.contracts.find(c => c.address.toLowerCase() === address.toLowerCase());
+    
+    let mintError = null;
+    if (contract) {
+      try {
+        this.validateMintTemplate((contract.methods && contract.methods.mint) || 'mint', contract.mintArgs || [], abi);
+      } catch (error) {
+        mintError = error.message;
+      }
+    }
+    
+    return {
+      imported: abi !== this.contractABI,
+      functions: functions.length,
+      events: abi.filter(item => item.type === 'event').length,
+      errors: abi.filter(item => item.type === 'error').length,
+      mintCandidates: functions
+        .filter(item => /mint/i.test(item.name) && !['view', 'pure'].includes(item.stateMutability))
+        .map(item => `${item.name}(${item.inputs.map(input => input.type).join(',')})`),
+      mintError
+    };
+  }
+  
   getActiveContractAddress() {
     const activeContract = this.contracts.find(c => c.active);
     return activeContract ? activeContract.address : null;
@@ -90,7 +253,9 @@ class ContractManager {
         mint: 'mint',
         totalSupply: 'totalSupply',
         maxSupply: 'MAX_SUPPLY'
-      }
+      },
+      mintArgs: [],
+      mintQuantity: 1
     };
     
     this.contracts.push(newContract);
@@ -127,10 +292,7 @@ class ContractManager {
     this.saveContracts();
     
     // Update active contract instance
-    this.activeContract = new this.web3.eth.Contract(
-      this.contractABI, 
-      contractToActivate.address
-    );
+    this.activeContract = this.createInstance(contractToActivate.address);
     
     logAction('contract_activated', { address });
     return contractToActivate;
@@ -155,10 +317,7 @@ class ContractManager {
       // set the first one as active
       if (wasActive && this.contracts.length > 0) {
         this.contracts[0].active = true;
-        this.activeContract = new this.web3.eth.Contract(
-          this.contractABI, 
-          this.contracts[0].address
-        );
+        this.activeContract = this.createInstance(this.contracts[0].address);
       } else if (this.contracts.length === 0) {
         this.activeContract = null;
       }
@@ -171,8 +330,8 @@ class ContractManager {
     return false;
   }
   
-  // Update contract methods
-  updateContractMethods(address, methods) {
+  // Update contract methods, optionally with a new mint argument template
+  updateContractMethods(address, methods, mintArgs = undefined) {
     const contractIndex = this.contracts.findIndex(c => 
       c.address.toLowerCase() === address.toLowerCase()
     );
@@ -181,20 +340,34 @@ class ContractManager {
       throw new Error('Contract not found');
     }
     
+    const template = mintArgs !== undefined 
+      ? mintArgs 
+      : (this.contracts[contractIndex].mintArgs || []);
+    const abi = this.getContractAbi(address);
+    this.validateMintTemplate(methods.mint, template, abi);
+    
+    // With an imported ABI the supply getters can be checked too
+    if (abi !== this.contractABI) {
+      ['totalSupply', 'maxSupply'].forEach(key => {
+        if (!abi.some(item => item.type === 'function' && item.name === methods[key] && item.inputs.length === 0)) {
+          throw new Error(`${key} method '${methods[key]}' not found in contract ABI`);
+        }
+      });
+    }
+    
     this.contracts[contractIndex].methods = methods;
+    this.contracts[contractIndex].mintArgs = template;
     this.saveContracts();
     
     // If this is the active contract, reinitialize it
     if (this.contracts[contractIndex].active) {
-      this.activeContract = new this.web3.eth.Contract(
-        this.contractABI, 
-        this.contracts[contractIndex].address
-      );
+      this.activeContract = this.createInstance(this.contracts[contractIndex].address);
     }
     
     logAction('contract_methods_updated', { 
       address, 
-      methods 
+      methods,
+      mintArgs: template
     });
     
     return this.contracts[contractIndex];
@@ -212,10 +385,160 @@ class ContractManager {
     };
   }
   
+  // Set the value substituted for {qty} in the mint argument template
+  updateMintQuantity(address, quantity) {
+    const contract = this.contracts.find(c => 
+      c.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error('Quantity must be a positive integer');
+    }
+    
+    contract.mintQuantity = quantity;
+    this.saveContracts();
+    
+    logAction('contract_mint_quantity_updated', { address, quantity });
+    return contract;
+  }
+  
+  // Attach an allowlist proof set (lowercased address -> bytes32[]) to a contract
+  setProofs(address, proofs, root = null) {
+    const contract = this.contracts.find(c => 
+      c.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+    
+    contract.proofs = proofs;
+    contract.merkleRoot = root;
+    this.saveContracts();
+    
+    logAction('contract_proofs_updated', { 
+      address, 
+      count: Object.keys(proofs).length, 
+      root 
+    });
+    
+    return contract;
+  }
+  
+  clearProofs(address) {
+    return this.setProofs(address, {}, null);
+  }
+  
+  // Proof for a wallet on the active contract, or null if it isn't allowlisted
+  getProof(walletAddress) {
+    const contract = this.contracts.find(c => c.active);
+    if (!contract || !contract.proofs) return null;
+    return contract.proofs[walletAddress.toLowerCase()] || null;
+  }
+  
+  // Whether the active contract's mint template takes an allowlist proof
+  mintRequiresProof() {
+    const contract = this.contracts.find(c => c.active);
+    return !!contract && (contract.mintArgs || []).includes('{proof}');
+  }
+  
+  // Find the ABI entry for a mint method whose arity matches the template
+  findMintAbi(methodName, argCount, abi = this.getActiveAbi()) {
+    return abi.find(item => 
+      item.type === 'function' && 
+      item.name === methodName && 
+      item.inputs.length === argCount
+    );
+  }
+  
+  // Check a mint argument template against the ABI, throwing on the first mismatch
+  validateMintTemplate(methodName, template, abi = this.getActiveAbi()) {
+    const abiItem = this.findMintAbi(methodName, template.length, abi);
+    if (!abiItem) {
+      throw new Error(`Mint method '${methodName}' with ${template.length} argument(s) not found in contract ABI`);
+    }
+    
+    abiItem.inputs.forEach((input, index) => {
+      const arg = template[index];
+      const placeholder = MINT_PLACEHOLDERS[arg];
+      
+      if (placeholder) {
+        if (!placeholder.types.test(input.type)) {
+          throw new Error(`Placeholder ${arg} cannot be used for argument ${index + 1} (${input.type})`);
+        }
+        return;
+      }
+      
+      if (/^\{.*\}$/.test(arg)) {
+        throw new Error(`Unknown placeholder ${arg}. Supported: ${Object.keys(MINT_PLACEHOLDERS).join(', ')}`);
+      }
+      
+      try {
+        this.web3.eth.abi.encodeParameter(input.type, parseLiteralArg(input.type, arg));
+      } catch (e) {
+        throw new Error(`Value '${arg}' is not a valid ${input.type} for argument ${index + 1}`);
+      }
+    });
+    
+    return abiItem;
+  }
+  
+  // Tokens one mint call on the active contract asks for
+  getMintQuantity() {
+    const contract = this.contracts.find(c => c.active);
+    if (!contract) return 1;
+    
+    return (contract.mintArgs || []).includes('{qty}') ? (contract.mintQuantity || 1) : 1;
+  }
+  
+  // Build mint calldata for one wallet from the active contract's argument template
+  buildMintCall(walletAddress) {
+    const contract = this.contracts.find(c => c.active);
+    if (!contract) {
+      throw new Error('No active contract configured');
+    }
+    
+    const methodName = (contract.methods && contract.methods.mint) || 'mint';
+    const template = contract.mintArgs || [];
+    const abiItem = this.findMintAbi(methodName, template.length, this.getContractAbi(contract.address));
+    if (!abiItem) {
+      throw new Error(`Mint method '${methodName}' not found in contract. Verify configuration.`);
+    }
+    
+    const quantity = this.getMintQuantity();
+    const values = { wallet: walletAddress, qty: quantity };
+    
+    if (template.includes('{proof}')) {
+      values.proof = this.getProof(walletAddress);
+      if (!values.proof) {
+        throw new Error(`No allowlist proof for wallet ${walletAddress}`);
+      }
+    }
+    
+    const args = abiItem.inputs.map((input, index) => {
+      const arg = template[index];
+      const placeholder = MINT_PLACEHOLDERS[arg];
+      return placeholder 
+        ? placeholder.resolve(values) 
+        : parseLiteralArg(input.type, arg);
+    });
+    
+    return {
+      method: methodName,
+      args,
+      quantity,
+      data: this.web3.eth.abi.encodeFunctionCall(abiItem, args)
+    };
+  }
+  
   // Enhanced contract validation with method detection
   async validateContract(address) {
     try {
-      const tempContract = new this.web3.eth.Contract([], address);
+      const tempContract = this.createInstance(address);
       
       // Results object to track validation
       const results = {
@@ -273,8 +596,10 @@ class ContractManager {
       const hasMaxSupply = await safeCall('MAX_SUPPLY', 'maxSupply', 
                                          ['maxSupply', 'MAX_TOKENS', 'maxTokens', 'cap']);
       
-      // Check for mint method (don't call it, just check existence)
-      const mintMethods = ['mint', 'publicMint', 'mintPublic', 'mintToken', 'buyToken'];
+      // Check for mint method (don't call it, just check existence). Common names first,
+      // then any state-changing function with 'mint' in its name from an imported ABI.
+      const mintMethods = ['mint', 'publicMint', 'mintPublic', 'mintToken', 'buyToken', 
+                           ...this.summarizeAbi(address).mintCandidates.map(sig => sig.split('(')[0])];
       let mintMethodFound = false;
       let mintMethodName = null;
       
@@ -313,7 +638,8 @@ class ContractManager {
     }
   }
   
-  // Get methods from a contract by inspection
+  // Detect known mint, price, supply, pause and per-wallet limit functions from the deployed
+  // bytecode, following EIP-1967 and EIP-1167 proxies to their implementation
   async inspectContractMethods(address) {
     try {
       // Check if contract has code
@@ -322,32 +648,39 @@ class ContractManager {
         return { valid: false, error: 'No contract code found at this address' };
       }
       
-      // Create a temporary contract instance
-      const tempContract = new this.web3.eth.Contract([], address);
+      const proxy = await resolveProxy(this.web3, address, code);
+      const logicCode = proxy && proxy.implementation 
+        ? await this.web3.eth.getCode(proxy.implementation) 
+        : code;
       
-      // Common methods to check
-      const commonMethods = [
-        'mint', 'publicMint', 'mintPublic', 'mintToken', 'buyToken',
-        'totalSupply', 'totalMinted', 'supply', 'tokenCount',
-        'MAX_SUPPLY', 'maxSupply', 'MAX_TOKENS', 'maxTokens', 'cap',
-        'paused', 'mintPrice', 'price', 'cost'
-      ];
+      // A proxy's own selectors (upgradeTo etc.) plus its implementation's
+      const selectors = extractSelectors(logicCode);
+      if (logicCode !== code) {
+        selectors.push(...extractSelectors(code));
+      }
       
-      const foundMethods = [];
+      const found = matchSelectors(selectors);
+      const methods = [...new Set(Object.values(found).flat().map(signature => signature.split('(')[0]))];
       
-      for (const method of commonMethods) {
-        try {
-          // Check if method exists by trying to encode a call to it
-          tempContract.methods[method]().encodeABI();
-          foundMethods.push(method);
-        } catch (e) {
-          // Method doesn't exist or has parameters
-        }
-      }
+      // /setmethods checks against the ABI, so only these can be suggested for it
+      const abi = this.getContractAbi(address);
+      const inAbi = {};
+      Object.keys(found).forEach(category => {
+        inAbi[category] = found[category].filter(signature => {
+          const argCount = signature.slice(signature.indexOf('(') + 1, -1).split(',').filter(Boolean).length;
+          return Boolean(this.findMintAbi(signature.split('(')[0], argCount, abi));
+        });
+      });
+      
+      logger.info('Contract inspection results', { address, proxy, selectors: selectors.length, found });
       
       return {
         valid: true,
-        methods: foundMethods
+        proxy,
+        selectorCount: selectors.length,
+        found,
+        inAbi,
+        methods
       };
     } catch (error) {
       logger.error('Contract inspection error:', error);
@@ -0,0 +1,116 @@
+// events.js
+const Web3 = require('web3');
+const web3 = new Web3(); // Decoding only, no provider needed
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const TOPICS = {
+  TRANSFER: web3.utils.sha3('Transfer(address,address,uint256)'),
+  TRANSFER_SINGLE: web3.utils.sha3('TransferSingle(address,address,address,uint256,uint256)'),
+  TRANSFER_BATCH: web3.utils.sha3('TransferBatch(address,address,address,uint256[],uint256[])')
+};
+
+function topicToAddress(topic) {
+  return web3.utils.toChecksumAddress('0x' + topic.slice(-40));
+}
+
+// Decode ERC-721 and ERC-1155 transfers from a list of raw logs
+function decodeNftTransfers(logs = []) {
+  const transfers = [];
+
+  logs.forEach(log => {
+    const topics = log.topics || [];
+    const signature = (topics[0] || '').toLowerCase();
+
+    try {
+      // ERC-20 Transfer has the same signature but only 3 topics (value in data)
+      if (signature === TOPICS.TRANSFER && topics.length === 4) {
+        transfers.push({
+          contract: log.address,
+          standard: 'ERC721',
+          from: topicToAddress(topics[1]),
+          to: topicToAddress(topics[2]),
+          tokenId: web3.utils.hexToNumberString(topics[3]),
+          amount: '1'
+        });
+      } else if (signature === TOPICS.TRANSFER_SINGLE && topics.length === 4) {
+        const { id, value } = web3.eth.abi.decodeParameters([
+          { type: 'uint256', name: 'id' }, { type: 'uint256', name: 'value' }
+        ], log.data);
+        transfers.push({
+          contract: log.address,
+          standard: 'ERC1155',
+          from: topicToAddress(topics[2]),
+          to: topicToAddress(topics[3]),
+          tokenId: id.toString(),
+          amount: value.toString()
+        });
+      } else if (signature === TOPICS.TRANSFER_BATCH && topics.length === 4) {
+        const { ids, values } = web3.eth.abi.decodeParameters([
+          { type: 'uint256[]', name: 'ids' }, { type: 'uint256[]', name: 'values' }
+        ], log.data);
+        ids.forEach((id, i) => {
+          transfers.push({
+            contract: log.address,
+            standard: 'ERC1155',
+            from: topicToAddress(topics[2]),
+            to: topicToAddress(topics[3]),
+            tokenId: id.toString(),
+            amount: values[i].toString()
+          });
+        });
+      }
+    } catch (error) {
+      // Malformed or non-standard event with a colliding signature, ignore it
+    }
+  });
+
+  return transfers;
+}
+
+// Tokens minted (transferred from the zero address) in a receipt, optionally only to `recipient`
+function decodeMintedTokens(receipt, recipient = null) {
+  return decodeNftTransfers(receipt.logs)
+    .filter(t => t.from === ZERO_ADDRESS)
+    .filter(t => !recipient || t.to.toLowerCase() === recipient.toLowerCase())
+    .map(({ contract, standard, to, tokenId, amount }) => ({ contract, standard, to, tokenId, amount }));
+}
+
+// Decode every log that matches an event in `abi` into { contract, name, args }. The indexed
+// argument count has to match too, so ERC-20 and ERC-721 Transfer don't get mixed up.
+function decodeEvents(logs = [], abi = []) {
+  const events = abi
+    .filter(item => item.type === 'event' && !item.anonymous)
+    .map(item => ({ item, topic: web3.eth.abi.encodeEventSignature(item).toLowerCase() }));
+  const decoded = [];
+
+  logs.forEach(log => {
+    const topics = log.topics || [];
+    const match = events.find(({ item, topic }) =>
+      topic === (topics[0] || '').toLowerCase() &&
+      item.inputs.filter(input => input.indexed).length === topics.length - 1
+    );
+    if (!match) return;
+
+    try {
+      const values = web3.eth.abi.decodeLog(match.item.inputs, log.data, topics.slice(1));
+      const args = {};
+      match.item.inputs.forEach((input, i) => {
+        args[input.name || i] = Array.isArray(values[i]) ? values[i].map(String) : String(values[i]);
+      });
+      decoded.push({ contract: log.address, name: match.item.name, args });
+    } catch (error) {
+      // Data doesn't fit the ABI, skip it
+    }
+  });
+
+  return decoded;
+}
+
+module.exports = {
+  TOPICS,
+  ZERO_ADDRESS,
+  decodeNftTransfers,
+  decodeMintedTokens,
+  decodeEvents
+};
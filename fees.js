@@ -0,0 +1,147 @@
+// fees.js
+const { logger, logAction } = require('./logger');
+
+// Base fee multiplier and priority fee percentile (from eth_feeHistory) per strategy
+const FEE_STRATEGIES = {
+  eco: { baseFeeMultiplier: 1.125, rewardPercentile: 10, priorityMultiplier: 1 },
+  normal: { baseFeeMultiplier: 1.5, rewardPercentile: 50, priorityMultiplier: 1 },
+  aggressive: { baseFeeMultiplier: 2, rewardPercentile: 90, priorityMultiplier: 1.5 },
+  fixed: null // Legacy gasPrice from CONFIG.GAS_PRICE
+};
+
+class FeeManager {
+  constructor(web3Instance, options = {}) {
+    this.web3 = web3Instance;
+    this.fixedGasPrice = options.fixedGasPrice;
+    this.historyBlocks = options.historyBlocks || 10;
+    this.bumpPercent = options.bumpPercent || 15;
+    this.strategy = FEE_STRATEGIES.hasOwnProperty(options.strategy) ? options.strategy : 'normal';
+  }
+
+  static getStrategyNames() {
+    return Object.keys(FEE_STRATEGIES);
+  }
+
+  static isValidStrategy(name) {
+    return FEE_STRATEGIES.hasOwnProperty(name);
+  }
+
+  getStrategy() {
+    return this.strategy;
+  }
+
+  setStrategy(name) {
+    if (!FeeManager.isValidStrategy(name)) {
+      throw new Error(`Unknown fee strategy '${name}'. Use one of: ${FeeManager.getStrategyNames().join(', ')}`);
+    }
+
+    this.strategy = name;
+    logAction('fee_strategy_changed', { strategy: name });
+    return name;
+  }
+
+  // Fee fields for a transaction using the given (or default) strategy
+  async getFees(strategyName = this.strategy) {
+    if (!FeeManager.isValidStrategy(strategyName)) {
+      throw new Error(`Unknown fee strategy '${strategyName}'`);
+    }
+
+    const strategy = FEE_STRATEGIES[strategyName];
+    if (!strategy) {
+      return this.legacyFees(strategyName, this.fixedGasPrice);
+    }
+
+    try {
+      const { toBN } = this.web3.utils;
+      const history = await this.web3.eth.getFeeHistory(
+        this.historyBlocks, 'pending', [strategy.rewardPercentile]
+      );
+
+      // The last entry is the base fee of the next block
+      const baseFee = toBN(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+      const rewards = (history.reward || []).map(r => toBN(r[0]));
+      const averageReward = rewards.length > 0
+        ? rewards.reduce((sum, r) => sum.add(r), toBN(0)).divn(rewards.length)
+        : toBN(0);
+
+      const maxPriorityFeePerGas = scale(averageReward, strategy.priorityMultiplier);
+      const maxFeePerGas = scale(baseFee, strategy.baseFeeMultiplier).add(maxPriorityFeePerGas);
+
+      return {
+        strategy: strategyName,
+        type: 2,
+        maxFeePerGas: maxFeePerGas.toString(),
+        maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+        estimatedGasPrice: baseFee.add(maxPriorityFeePerGas).toString()
+      };
+    } catch (error) {
+      // Chain or RPC without EIP-1559 support
+      logger.warn('eth_feeHistory unavailable, falling back to legacy gas price', { error: error.message });
+      const gasPrice = await this.web3.eth.getGasPrice();
+      return this.legacyFees(strategyName, gasPrice);
+    }
+  }
+
+  // Fees for a replacement tx: a fresh quote or the previous fees bumped by bumpPercent, whichever is higher
+  async getReplacementFees(previousTx, strategyName = 'aggressive') {
+    const { toBN } = this.web3.utils;
+    const fresh = await this.getFees(strategyName);
+    const bump = value => scale(toBN(value), 1 + this.bumpPercent / 100).addn(1);
+    const max = (a, b) => (a.gt(b) ? a : b);
+
+    if (previousTx.maxFeePerGas) {
+      const maxPriorityFeePerGas = max(
+        bump(previousTx.maxPriorityFeePerGas),
+        toBN(fresh.type === 2 ? fresh.maxPriorityFeePerGas : fresh.gasPrice)
+      );
+      const maxFeePerGas = max(
+        max(bump(previousTx.maxFeePerGas), toBN(fresh.type === 2 ? fresh.maxFeePerGas : fresh.gasPrice)),
+        maxPriorityFeePerGas
+      );
+
+      return {
+        strategy: `${strategyName}-replacement`,
+        type: 2,
+        maxFeePerGas: maxFeePerGas.toString(),
+        maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+        estimatedGasPrice: maxFeePerGas.toString()
+      };
+    }
+
+    const gasPrice = max(bump(previousTx.gasPrice), toBN(fresh.estimatedGasPrice));
+    return this.legacyFees(`${strategyName}-replacement`, gasPrice);
+  }
+
+  legacyFees(strategyName, gasPrice) {
+    return {
+      strategy: strategyName,
+      type: 0,
+      gasPrice: gasPrice.toString(),
+      estimatedGasPrice: gasPrice.toString()
+    };
+  }
+
+  // Most a tx with these fees can pay in gas
+  maxCost(fees, gasLimit) {
+    const price = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    return this.web3.utils.toBN(price).muln(gasLimit).toString();
+  }
+
+  // Transaction fields for the fees returned by getFees
+  static toTxFields(fees) {
+    if (fees.type === 2) {
+      return {
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+      };
+    }
+    return { gasPrice: fees.gasPrice };
+  }
+}
+
+// Multiply a BN by a decimal factor with basis-point precision
+function scale(value, factor) {
+  return value.muln(Math.round(factor * 10000)).divn(10000);
+}
+
+module.exports = FeeManager;
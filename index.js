@@ -11,6 +11,16 @@ const { WalletManager } = require('./wallet');
 const TransactionManager = require('./transaction');
 const ContractManager = require('./contracts');
 const TelegramFormatter = require('./telegram');
+const MintScheduler = require('./scheduler');
+const SaleWatcher = require('./watcher');
+const { parseProofFile } = require('./merkle');
+const FeeManager = require('./fees');
+const { executeBatch } = require('./batch');
+const BudgetManager = require('./budget');
+const NftCollector = require('./collector');
+const BalanceMonitor = require('./balances');
+const { buildKeystoreArchive, readWalletImport } = require('./backup');
+const { ZERO_ADDRESS } = require('./events');
 
 // Initialize Web3 and Bot
 const web3 = new Web3(CONFIG.RPC_URL);
@@ -21,6 +31,17 @@ const app = express();
 const walletManager = new WalletManager(CONFIG.MASTER_PASSWORD, web3);
 const txManager = new TransactionManager(web3);
 const contractManager = new ContractManager(web3, CONTRACT_ABI);
+const feeManager = new FeeManager(web3, {
+  strategy: CONFIG.FEE_STRATEGY,
+  fixedGasPrice: CONFIG.GAS_PRICE,
+  bumpPercent: CONFIG.RBF_BUMP_PERCENT
+});
+const budgetManager = new BudgetManager(web3, {
+  mintValue: CONFIG.MAX_MINT_VALUE,
+  txFee: CONFIG.MAX_TX_FEE,
+  walletDaily: CONFIG.MAX_WALLET_DAILY_SPEND,
+  batchTotal: CONFIG.MAX_BATCH_SPEND
+});
 
 // Add default contract if no contracts exist
 if (contractManager.getAllContracts().length === 0) {
@@ -70,39 +91,122 @@ async function safeSendMessage(chatId, text, options = {}) {
   }
 }
 
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Send a report that may be over Telegram's message limit as several messages, split between lines
+async function sendLongMessage(chatId, text, options = {}) {
+  const chunks = [''];
+  text.split('\n').forEach(line => {
+    const last = chunks.length - 1;
+    if (chunks[last] && chunks[last].length + line.length + 1 > TELEGRAM_MESSAGE_LIMIT) {
+      chunks.push(line);
+    } else {
+      chunks[last] += (chunks[last] ? '\n' : '') + line;
+    }
+  });
+  
+  for (const chunk of chunks) {
+    await safeSendMessage(chatId, chunk, options);
+  }
+}
+
+// Download a Telegram document into a Buffer
+async function downloadDocument(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Remove a message that carried a key, mnemonic or password from the chat history
+function deleteSensitiveMessage(msg, command) {
+  bot.deleteMessage(msg.chat.id, msg.message_id).catch(error => 
+    logger.warn(`Could not delete ${command} message`, { error: error.message })
+  );
+}
+
+// Secrets are only accepted or shown in a private chat with the bot
+async function requirePrivateChat(msg, exposed = true) {
+  if (msg.chat.type === 'private') return true;
+  
+  logAction('secret_refused_in_group', { chatId: msg.chat.id, userId: msg.from.id });
+  await safeSendMessage(
+    msg.chat.id, 
+    '🔒 Keys, mnemonics and passwords are only handled in a private chat with the bot.' + 
+    (exposed ? ' Your message was deleted, treat anything it contained as exposed.' : '')
+  );
+  return false;
+}
+
 // ========== CORE MINT FUNCTION ========== //
-async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
+// Build the unsigned mint transaction for one wallet (nonce is assigned at send time)
+function buildMintTx(walletAddress, fees) {
+  const wallet = walletManager.getWallet(walletAddress);
+  if (!wallet || !wallet.active) {
+    throw new Error(`Wallet ${walletAddress} not found or inactive`);
+  }
+  if (wallet.watchOnly) {
+    const error = new Error(`Wallet ${walletAddress} is watch-only and can't sign`);
+    error.watchOnly = true;
+    throw error;
+  }
+  
+  const activeContract = contractManager.getActiveContract();
+  if (!activeContract) {
+    throw new Error('No active contract configured');
+  }
+  
+  const account = web3.eth.accounts.privateKeyToAccount(wallet.privateKey);
+  const mintCall = contractManager.buildMintCall(account.address);
+  
+  const tx = {
+    from: account.address,
+    to: contractManager.getActiveContractAddress(),
+    data: mintCall.data,
+    gas: CONFIG.GAS_LIMIT,
+    ...FeeManager.toTxFields(fees),
+    chainId: CONFIG.CHAIN_ID
+  };
+  
+  return { account, tx, mintCall };
+}
+
+async function sendMonadMintTx(walletAddress, msg, retryCount = 0, options = {}) {
+  let nonceData = null;
+  let budgetHold = null;
+  let broadcastHash = null;
+  let fees = null;
+  
   try {
-    const wallet = walletManager.getWallet(walletAddress);
-    if (!wallet || !wallet.active) {
-      throw new Error(`Wallet ${walletAddress} not found or inactive`);
-    }
-    
-    const activeContract = contractManager.getActiveContract();
-    if (!activeContract) {
-      throw new Error('No active contract configured');
-    }
-    
-    const activeContractAddress = contractManager.getActiveContractAddress();
+    fees = await feeManager.getFees(options.feeStrategy);
+    const { account, tx } = buildMintTx(walletAddress, fees);
+    const activeContractAddress = tx.to;
     
     logAction('mint_attempt', { 
       address: walletAddress, 
       retryCount,
-      contractAddress: activeContractAddress
+      contractAddress: activeContractAddress,
+      feeStrategy: fees.strategy
     });
     
-    const account = web3.eth.accounts.privateKeyToAccount(wallet.privateKey);
-    const nonceData = await txManager.getNonce(account.address);
+    // Don't pay gas for a mint that is going to revert
+    const simulation = await txManager.simulateTransaction(tx, contractManager.getActiveAbi());
+    if (!simulation.success) {
+      const error = new Error(`Simulation failed: ${simulation.error}`);
+      error.simulation = simulation;
+      throw error;
+    }
+    
+    // Refuse to sign anything that would go over a spending cap
+    budgetHold = budgetManager.reserve(account.address, {
+      value: tx.value || '0',
+      maxFee: feeManager.maxCost(fees, tx.gas),
+      batchId: options.batchId
+    });
     
-    const tx = {
-      from: account.address,
-      to: activeContractAddress,
-      data: activeContract.methods.mint().encodeABI(), // Fixed: Added 'data:' field name
-      gas: CONFIG.GAS_LIMIT,
-      gasPrice: CONFIG.GAS_PRICE,
-      chainId: CONFIG.CHAIN_ID,
-      nonce: nonceData.nonce
-    };
+    nonceData = await txManager.getNonce(account.address);
+    tx.nonce = nonceData.nonce;
 
     const signedTx = await account.signTransaction(tx);
     
@@ -114,27 +218,60 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
     
     const receipt = await txManager.sendTransaction(signedTx, account.address, {
       to: activeContractAddress,
-      gasPrice: CONFIG.GAS_PRICE,
+      fees,
       gasLimit: CONFIG.GAS_LIMIT,
-      timeout: CONFIG.TX_TIMEOUT
+      timeout: CONFIG.TX_TIMEOUT,
+      abi: contractManager.getActiveAbi(),
+      onBroadcast: hash => {
+        broadcastHash = hash;
+        nonceData.commit();
+      }
     });
+    nonceData.commit();
+    budgetHold.commit(budgetManager.actualCost(receipt, tx.value, fees.estimatedGasPrice));
     
     walletManager.updateLastUsed(account.address);
     
     await safeSendMessage(
       msg.chat.id, 
-      TelegramFormatter.transactionSuccess(receipt.transactionHash, account.address), 
+      TelegramFormatter.transactionSuccess(receipt.transactionHash, account.address, receipt.mintedTokens), 
       { parse_mode: 'Markdown' }
     );
     
-    // Release the nonce if the transaction was successful
-    if (nonceData.release) {
+    return receipt;
+  } catch (error) {
+    // No-op if the tx already reached the mempool
+    if (nonceData) {
       nonceData.release();
     }
     
-    return receipt;
-  } catch (error) {
-    if (retryCount < CONFIG.MAX_RETRY_COUNT) {
+    // Mined reverts still paid gas, and a broadcast tx that timed out may yet land at full cost
+    if (budgetHold) {
+      if (error.receipt) {
+        budgetHold.commit(budgetManager.actualCost(error.receipt, '0', fees.estimatedGasPrice));
+      } else if (broadcastHash) {
+        budgetHold.commit();
+      } else {
+        budgetHold.release();
+      }
+    }
+    
+    // A tx that reached the mempool but wasn't mined in time may still land. Another attempt
+    // under the next nonce could mint twice, so hand it over to /speedup, /cancel or /reconcile.
+    if (broadcastHash && !error.receipt && !error.cancelled) {
+      logger.error('mint_stuck', { address: walletAddress, hash: broadcastHash, error: error.message });
+      await safeSendMessage(
+        msg.chat.id, 
+        TelegramFormatter.transactionStuck(broadcastHash, walletAddress), 
+        { parse_mode: 'Markdown' }
+      );
+      throw error;
+    }
+    
+    // Reverts (simulated or mined) are deterministic, a budget refusal needs a config change,
+    // a cancelled mint was cancelled on purpose and a watch-only wallet will never sign
+    if (!error.simulation && !error.revert && !error.budget && !error.cancelled && !error.watchOnly && 
+        retryCount < CONFIG.MAX_RETRY_COUNT) {
       await safeSendMessage(
         msg.chat.id, 
         `🔄 Retrying (${retryCount + 1}/${CONFIG.MAX_RETRY_COUNT})...\nError: ${error.message.substring(0, 100)}`, 
@@ -142,7 +279,7 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
       );
       
       await new Promise(resolve => setTimeout(resolve, 3000));
-      return sendMonadMintTx(walletAddress, msg, retryCount + 1);
+      return sendMonadMintTx(walletAddress, msg, retryCount + 1, options);
     }
     
     logger.error('mint_failed', { address: walletAddress, error: error.message, stack: error.stack });
@@ -157,207 +294,1491 @@ async function sendMonadMintTx(walletAddress, msg, retryCount = 0) {
   }
 }
 
-// ========== TELEGRAM COMMAND HANDLERS ========== //
-bot.onText(/\/start/, async (msg) => {
-  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+// Re-sign a stuck transaction's nonce with higher fees, either as the same call or a 0-value self-transfer
+async function replaceStuckTransaction(msg, target, kind) {
+  const record = await txManager.findPendingRecord(target);
+  if (!record) {
+    return await safeSendMessage(msg.chat.id, '❌ No pending transaction found for that hash or wallet');
+  }
+  
+  const wallet = walletManager.getWallet(record.from);
+  if (!wallet || wallet.watchOnly) {
+    return await safeSendMessage(msg.chat.id, `❌ Wallet ${record.from} is not managed by this bot`);
+  }
+  
+  const onChainTx = await web3.eth.getTransaction(record.hash);
+  if (!onChainTx) {
+    return await safeSendMessage(msg.chat.id, `❌ Transaction ${record.hash} is not known to the node, it may have been dropped`);
+  }
+  if (onChainTx.blockNumber) {
+    return await safeSendMessage(msg.chat.id, `✅ Transaction already mined in block ${onChainTx.blockNumber}`);
+  }
+  
+  const fees = await feeManager.getReplacementFees(onChainTx);
+  const account = web3.eth.accounts.privateKeyToAccount(wallet.privateKey);
+  
+  const tx = kind === 'cancel' 
+    ? { from: account.address, to: account.address, value: '0', gas: 21000 }
+    : { from: account.address, to: onChainTx.to, value: onChainTx.value, data: onChainTx.input, gas: onChainTx.gas };
+  Object.assign(tx, FeeManager.toTxFields(fees), { nonce: onChainTx.nonce, chainId: CONFIG.CHAIN_ID });
   
   try {
-    // First try with Markdown formatting
-    await bot.sendMessage(msg.chat.id, TelegramFormatter.helpText(), { parse_mode: 'Markdown' });
+    budgetManager.checkFee(feeManager.maxCost(fees, tx.gas));
   } catch (error) {
-    logger.error('Error sending help message with Markdown:', error.message);
+    return await safeSendMessage(msg.chat.id, `❌ ${error.message}`);
+  }
+  
+  const signedTx = await account.signTransaction(tx);
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    `${kind === 'cancel' ? '🛑 Cancelling' : '⚡ Speeding up'} nonce ${onChainTx.nonce} from ` +
+    `${TelegramFormatter.code(account.address.substring(0, 10) + '...')}`, 
+    { parse_mode: 'Markdown' }
+  );
+  
+  try {
+    const receipt = await txManager.sendReplacement(signedTx, record, kind, {
+      to: tx.to,
+      nonce: onChainTx.nonce,
+      fees,
+      gasLimit: tx.gas,
+      timeout: CONFIG.TX_TIMEOUT
+    });
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      `✅ ${kind === 'cancel' ? 'Cancel' : 'Speed-up'} landed in block ${receipt.blockNumber}\n` +
+      `[View Transaction](${CONFIG.EXPLORER_URL}${receipt.transactionHash})`, 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    const original = txManager.getReplacementGroup(record.originalHash || record.hash)
+      .find(tx => tx.status === 'confirmed');
     
+    if (original) {
+      await safeSendMessage(msg.chat.id, `ℹ️ ${original.hash.substring(0, 10)}... landed first, replacement not needed`);
+    } else {
+      await safeSendMessage(msg.chat.id, `❌ ${kind === 'cancel' ? 'Cancel' : 'Speed-up'} failed: ${error.message}`);
+    }
+  }
+}
+
+// ========== BATCH MINT ========== //
+function noActiveWalletsMessage(group) {
+  return group 
+    ? `❌ No active wallets in group '${group}'. Use /group add ${group} <address> to add some.` 
+    : '❌ No active wallets configured. Use /addwallet to add wallets.';
+}
+
+// Split active wallets into those that can mint on the active contract and those skipped
+function getEligibleWallets(activeWallets) {
+  const skipped = [];
+  let wallets = activeWallets.filter(wallet => {
+    if (!wallet.watchOnly) return true;
+    skipped.push({ address: wallet.address, reason: 'watch-only' });
+    return false;
+  });
+  
+  // Allowlist mints can only go out from wallets that have a proof
+  if (contractManager.mintRequiresProof()) {
+    wallets = wallets.filter(wallet => {
+      if (contractManager.getProof(wallet.address)) return true;
+      skipped.push({ address: wallet.address, reason: 'no allowlist proof' });
+      return false;
+    });
+  }
+  
+  return { wallets, skipped };
+}
+
+function formatSkipped(skipped) {
+  if (skipped.length === 0) return '';
+  return `\n⏭ ${skipped.length} skipped:\n` +
+    skipped.map(s => `- ${s.address.substring(0, 10)}... (${s.reason})`).join('\n');
+}
+
+// Resolves with the receipts of the mints that landed, [] if the batch didn't start
+async function runBatchMint(msg, options = {}) {
+  const activeWallets = walletManager.getActiveWallets(options.group);
+  if (activeWallets.length === 0) {
+    await safeSendMessage(msg.chat.id, noActiveWalletsMessage(options.group));
+    return [];
+  }
+  
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  if (!activeContractAddress) {
+    await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+    return [];
+  }
+  
+  const { wallets, skipped } = getEligibleWallets(activeWallets);
+  
+  if (wallets.length === 0) {
+    await safeSendMessage(msg.chat.id, `❌ No wallets eligible to mint${formatSkipped(skipped)}`);
+    return [];
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    `🚀 Starting batch mint with ${wallets.length} wallets${options.group ? ` in group ${options.group}` : ''} on contract ${activeContractAddress.substring(0, 8)}... ` +
+    `(gas: ${options.feeStrategy || feeManager.getStrategy()}, concurrency: ${CONFIG.BATCH_CONCURRENCY}` +
+    `${CONFIG.BATCH_DELAY > 0 ? `, ${CONFIG.BATCH_DELAY}ms apart` : ''})`
+  );
+  
+  // The batch spending cap is counted across every wallet in this run
+  const batchId = budgetManager.startBatch();
+  const results = await executeBatch(
+    wallets, 
+    wallet => sendMonadMintTx(wallet.address, msg, 0, { ...options, batchId }), 
+    { concurrency: CONFIG.BATCH_CONCURRENCY, delay: CONFIG.BATCH_DELAY }
+  );
+  budgetManager.endBatch(batchId);
+  
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length > 0) {
+    logger.error('batch_mint_error', { 
+      failed: failed.map(r => ({ address: r.item.address, error: r.reason.message })) 
+    });
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.batchSummary(results, skipped), 
+    { parse_mode: 'Markdown' }
+  );
+  
+  return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+}
+
+// Simulate the whole batch without signing or broadcasting anything
+async function runDryRun(msg, options = {}) {
+  const activeWallets = walletManager.getActiveWallets(options.group);
+  if (activeWallets.length === 0) {
+    return await safeSendMessage(msg.chat.id, noActiveWalletsMessage(options.group));
+  }
+  
+  if (!contractManager.getActiveContractAddress()) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+  }
+  
+  const { wallets, skipped } = getEligibleWallets(activeWallets);
+  await safeSendMessage(msg.chat.id, `🧪 Simulating mint for ${wallets.length} wallets...`);
+  
+  const fees = await feeManager.getFees(options.feeStrategy);
+  const results = [];
+  for (const wallet of wallets) {
     try {
-      // Then try with HTML formatting
-      if (TelegramFormatter.helpTextHTML) {
-        await bot.sendMessage(msg.chat.id, TelegramFormatter.helpTextHTML(), { parse_mode: 'HTML' });
-      } else {
-        // Fallback to plain text if HTML method doesn't exist
-        throw new Error('HTML formatter not available');
-      }
-    } catch (htmlError) {
-      logger.error('Error sending help message with HTML:', htmlError.message);
-      
+      const { tx } = buildMintTx(wallet.address, fees);
+      const simulation = await txManager.simulateTransaction(tx, contractManager.getActiveAbi());
+      results.push({ address: wallet.address, gasPrice: fees.estimatedGasPrice, value: tx.value || '0', ...simulation });
+    } catch (error) {
+      results.push({ address: wallet.address, success: false, error: error.message });
+    }
+  }
+  
+  logAction('mint_dryrun', { 
+    wallets: results.length, 
+    passed: results.filter(r => r.success).length 
+  });
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.dryRunReport(results) + formatSkipped(skipped), 
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// Runs when a scheduled block or time is reached. The schedule's contract is only active for
+// the duration of its batch, the previously active contract is restored afterwards.
+async function runScheduledMint(schedule) {
+  const msg = { chat: { id: schedule.chatId } };
+  const previousAddress = contractManager.getActiveContractAddress();
+  const switching = Boolean(schedule.contractAddress) && 
+    schedule.contractAddress.toLowerCase() !== (previousAddress || '').toLowerCase();
+  
+  try {
+    if (switching) {
+      const contract = contractManager.activateContract(schedule.contractAddress);
+      await safeSendMessage(
+        msg.chat.id, 
+        `📝 Minting on ${TelegramFormatter.code(contract.label)} for this schedule` + 
+        (previousAddress ? `, ${TelegramFormatter.code(previousAddress.substring(0, 10) + '...')} is made active again afterwards` : ''), 
+        { parse_mode: 'Markdown' }
+      );
+    }
+    
+    await safeSendMessage(msg.chat.id, `⏰ Scheduled mint ${schedule.id} triggered at ${TelegramFormatter.scheduleTarget(schedule)}`);
+    await runBatchMint(msg);
+  } catch (error) {
+    logger.error('scheduled_mint_error', { id: schedule.id, error: error.message });
+    await safeSendMessage(msg.chat.id, `❌ Scheduled mint ${schedule.id} failed: ${error.message}`);
+  } finally {
+    if (switching && previousAddress) {
       try {
-        // As a last resort, use plain text
-        const plainText = TelegramFormatter.plainHelpText ? 
-          TelegramFormatter.plainHelpText() : 
-          TelegramFormatter.helpText().replace(/\*/g, '').replace(/\`/g, '');
-          
-        await bot.sendMessage(msg.chat.id, plainText);
-      } catch (plainError) {
-        logger.error('All formatting attempts failed:', plainError.message);
+        contractManager.activateContract(previousAddress);
+      } catch (error) {
+        // Removed while the batch ran
+        logger.warn('Could not restore the active contract after a scheduled mint', { address: previousAddress, error: error.message });
       }
     }
   }
-});
-
-bot.onText(/\/mint/, async (msg) => {
-  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+}
+
+const mintScheduler = new MintScheduler(web3, runScheduledMint, {
+  pollInterval: CONFIG.SCHEDULE_POLL_INTERVAL,
+  gracePeriod: CONFIG.SCHEDULE_GRACE_PERIOD
+});
+
+// Runs when the armed contract flips from paused to live
+async function runSaleOpenMint(trigger) {
+  const msg = { chat: { id: trigger.chatId } };
+  
+  if (trigger.contractAddress.toLowerCase() !== (contractManager.getActiveContractAddress() || '').toLowerCase()) {
+    return await safeSendMessage(msg.chat.id, `⚠️ Sale opened on ${trigger.contractAddress} but it is no longer the active contract, skipping mint`);
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    `🟢 *Sale Open Detected*\n` +
+    `Reason: ${trigger.reason}\n` +
+    `Opened at block: ${TelegramFormatter.code(trigger.openedAtBlock)}\n` +
+    `Detected at block: ${TelegramFormatter.code(trigger.detectedAtBlock)}`, 
+    { parse_mode: 'Markdown' }
+  );
+  
+  const receipts = await runBatchMint(msg);
+  const mintedBlocks = receipts.filter(r => r && r.blockNumber).map(r => r.blockNumber);
+  
+  let report = `⏱ *Reaction Report*\n` +
+               `Detection delay: ${trigger.detectedAtBlock - trigger.openedAtBlock} blocks\n`;
+  if (mintedBlocks.length > 0) {
+    report += `First mint landed: ${Math.min(...mintedBlocks) - trigger.openedAtBlock} blocks after opening`;
+  } else {
+    report += `No mints confirmed`;
+  }
+  
+  await safeSendMessage(msg.chat.id, report, { parse_mode: 'Markdown' });
+}
+
+const saleWatcher = new SaleWatcher(web3, runSaleOpenMint, {
+  pollInterval: CONFIG.WATCH_POLL_INTERVAL
+});
+
+// ========== FUNDING & SWEEP ========== //
+const TRANSFER_GAS = 21000;
+const FUND_CONFIRM_TIMEOUT = 120000; // 2 minutes to confirm a /fund or /sweep preview
+
+// Previewed /fund and /sweep plans waiting for confirmation, by chat
+const pendingFunding = new Map();
+const pendingSweeps = new Map();
+
+// Sign and send a tx from a managed wallet through the same nonce and history path as mints
+async function sendManagedTx(fromAddress, call, fees, type) {
+  const wallet = walletManager.getWallet(fromAddress);
+  if (!wallet) {
+    throw new Error(`Wallet ${fromAddress} is not managed by this bot`);
+  }
+  if (wallet.watchOnly) {
+    throw new Error(`Wallet ${fromAddress} is watch-only and can't sign`);
+  }
+  
+  const account = web3.eth.accounts.privateKeyToAccount(wallet.privateKey);
+  const tx = {
+    from: account.address,
+    to: call.to,
+    value: call.value || '0',
+    data: call.data,
+    gas: call.gas,
+    ...FeeManager.toTxFields(fees),
+    chainId: CONFIG.CHAIN_ID
+  };
+  
+  budgetManager.checkFee(feeManager.maxCost(fees, call.gas));
+  
+  const nonceData = await txManager.getNonce(account.address);
+  tx.nonce = nonceData.nonce;
+  
+  try {
+    const signedTx = await account.signTransaction(tx);
+    const receipt = await txManager.sendTransaction(signedTx, account.address, {
+      to: call.to,
+      fees,
+      gasLimit: call.gas,
+      timeout: CONFIG.TX_TIMEOUT,
+      type,
+      value: call.value,
+      abi: call.abi,
+      onBroadcast: nonceData.commit
+    });
+    nonceData.commit();
+    return receipt;
+  } finally {
+    // No-op once committed
+    nonceData.release();
+  }
+}
+
+function sendNativeTransfer(fromAddress, to, value, fees, type) {
+  return sendManagedTx(fromAddress, { to, value, gas: TRANSFER_GAS }, fees, type);
+}
+
+// Work out what /fund would send: a fixed amount to every wallet, or a top-up to wallets under the target
+async function planFunding(mode, amount, group = null) {
+  const { toBN } = web3.utils;
+  const funder = walletManager.getFunder();
+  if (!funder) {
+    throw new Error('No funder wallet set. Use /setfunder <address>');
+  }
+  
+  const targets = walletManager.getActiveWallets(group)
+    .filter(w => w.address.toLowerCase() !== funder.address.toLowerCase());
+  const fees = await feeManager.getFees();
+  const amountWei = toBN(web3.utils.toWei(amount, 'ether'));
+  
+  const transfers = [];
+  for (const wallet of targets) {
+    const balance = toBN(await web3.eth.getBalance(wallet.address));
+    const value = mode === 'target' ? amountWei.sub(balance) : amountWei;
+    if (value.gtn(0)) {
+      transfers.push({ address: wallet.address, balance: balance.toString(), value: value.toString() });
+    }
+  }
+  
+  const totalValue = transfers.reduce((sum, t) => sum.add(toBN(t.value)), toBN(0));
+  const totalFees = toBN(feeManager.maxCost(fees, TRANSFER_GAS)).muln(transfers.length);
+  
+  return {
+    funder: funder.address,
+    funderBalance: await web3.eth.getBalance(funder.address),
+    mode,
+    amount,
+    group,
+    transfers,
+    skipped: targets.length - transfers.length,
+    totalValue: totalValue.toString(),
+    totalFees: totalFees.toString(),
+    totalCost: totalValue.add(totalFees).toString()
+  };
+}
+
+async function runFunding(msg, plan) {
+  const { toBN } = web3.utils;
+  const funderBalance = await web3.eth.getBalance(plan.funder);
+  if (toBN(funderBalance).lt(toBN(plan.totalCost))) {
+    return await safeSendMessage(
+      msg.chat.id, 
+      `❌ Funder balance ${web3.utils.fromWei(funderBalance, 'ether')} MON is below the ` +
+      `${web3.utils.fromWei(plan.totalCost, 'ether')} MON this needs`
+    );
+  }
+  
+  await safeSendMessage(msg.chat.id, `💸 Funding ${plan.transfers.length} wallets from ${plan.funder.substring(0, 10)}...`);
+  
+  const fees = await feeManager.getFees();
+  const results = await executeBatch(
+    plan.transfers, 
+    transfer => sendNativeTransfer(plan.funder, transfer.address, transfer.value, fees, 'fund'), 
+    { concurrency: CONFIG.BATCH_CONCURRENCY }
+  );
+  
+  logAction('funding_completed', { 
+    funder: plan.funder, 
+    sent: results.filter(r => r.status === 'fulfilled').length, 
+    failed: results.filter(r => r.status === 'rejected').length 
+  });
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.batchSummary(results, [], 'Funding Complete'), 
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// Work out what /sweep would send: each wallet's balance minus `keep` and the transfer fee
+async function planSweep(vault, keep, group = null) {
+  const { toBN } = web3.utils;
+  const keepWei = toBN(web3.utils.toWei(keep, 'ether'));
+  const fees = await feeManager.getFees();
+  const gasCost = toBN(feeManager.maxCost(fees, TRANSFER_GAS));
+  
+  const wallets = walletManager.getActiveWallets(group)
+    .filter(w => w.address.toLowerCase() !== vault.toLowerCase());
+  
+  const transfers = [];
+  const skipped = [];
+  for (const wallet of wallets) {
+    const balance = toBN(await web3.eth.getBalance(wallet.address));
+    const value = balance.sub(keepWei).sub(gasCost);
+    if (value.gtn(0)) {
+      transfers.push({ address: wallet.address, balance: balance.toString(), value: value.toString() });
+    } else {
+      skipped.push({ address: wallet.address, reason: 'balance below keep + gas' });
+    }
+  }
+  
+  const totalValue = transfers.reduce((sum, t) => sum.add(toBN(t.value)), toBN(0));
+  
+  return {
+    vault,
+    keep,
+    group,
+    transfers,
+    skipped,
+    totalValue: totalValue.toString(),
+    totalFees: gasCost.muln(transfers.length).toString()
+  };
+}
+
+// Send a confirmed sweep plan. Balances and fees are re-read so no wallet sends more than it can
+// cover, and never more than the preview showed.
+async function runSweep(msg, plan) {
+  const { toBN } = web3.utils;
+  const keepWei = toBN(web3.utils.toWei(plan.keep, 'ether'));
+  const fees = await feeManager.getFees();
+  const gasCost = toBN(feeManager.maxCost(fees, TRANSFER_GAS));
+  
+  const transfers = [];
+  const skipped = [...plan.skipped];
+  for (const transfer of plan.transfers) {
+    const available = toBN(await web3.eth.getBalance(transfer.address)).sub(keepWei).sub(gasCost);
+    const value = available.lt(toBN(transfer.value)) ? available : toBN(transfer.value);
+    if (value.gtn(0)) {
+      transfers.push({ address: transfer.address, value: value.toString() });
+    } else {
+      skipped.push({ address: transfer.address, reason: 'balance below keep + gas' });
+    }
+  }
+  
+  if (transfers.length === 0) {
+    return await safeSendMessage(msg.chat.id, `✅ Nothing to sweep, every wallet is at or below ${plan.keep} MON + gas`);
+  }
+  
+  await safeSendMessage(msg.chat.id, `🧹 Sweeping ${transfers.length} wallets${plan.group ? ` in group ${plan.group}` : ''} to ${plan.vault.substring(0, 10)}... (keeping ${plan.keep} MON each)`);
+  
+  const results = await executeBatch(
+    transfers, 
+    transfer => sendNativeTransfer(transfer.address, plan.vault, transfer.value, fees, 'sweep'), 
+    { concurrency: CONFIG.BATCH_CONCURRENCY }
+  );
+  
+  logAction('sweep_completed', { 
+    vault: plan.vault, 
+    swept: results.filter(r => r.status === 'fulfilled').length, 
+    failed: results.filter(r => r.status === 'rejected').length 
+  });
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.sweepReport(results, skipped, plan.vault), 
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// ========== COLLECT ========== //
+const nftCollector = new NftCollector(web3, {
+  scanDepth: CONFIG.COLLECT_SCAN_BLOCKS,
+  scanChunk: CONFIG.LOG_SCAN_CHUNK
+});
+
+// Move every NFT the managed wallets hold on `contractAddress` to `vault`
+async function runCollect(msg, contractAddress, vault) {
+  const wallets = walletManager.getSigningWallets()
+    .map(w => w.address)
+    .filter(address => address.toLowerCase() !== vault.toLowerCase());
+  
+  // Recorded mint receipts first, the log scan fills in the rest
+  const knownTokens = txManager.getTransactionHistory(null, Infinity, { contract: contractAddress })
+    .flatMap(tx => txManager.getMintedTokens(tx))
+    .filter(t => t.contract.toLowerCase() === contractAddress.toLowerCase());
+  
+  await safeSendMessage(msg.chat.id, `🔍 Looking up tokens held by ${wallets.length} wallets on ${contractAddress.substring(0, 10)}...`);
+  const { standard, holdings } = await nftCollector.findHoldings(contractAddress, wallets, knownTokens);
+  
+  if (holdings.length === 0) {
+    return await safeSendMessage(msg.chat.id, `✅ No ${standard} tokens from that contract left in managed wallets`);
+  }
+  
+  await safeSendMessage(msg.chat.id, `📦 Collecting ${holdings.length} ${standard} tokens to ${vault.substring(0, 10)}...`);
+  
+  const byWallet = new Map();
+  holdings.forEach(h => byWallet.set(h.wallet, [...(byWallet.get(h.wallet) || []), h]));
+  const fees = await feeManager.getFees();
+  
+  // Wallets run in parallel, each wallet's transfers go out one after another
+  const batches = await executeBatch(
+    [...byWallet.values()], 
+    async walletHoldings => {
+      const results = [];
+      for (const holding of walletHoldings) {
+        try {
+          const data = nftCollector.encodeTransfer(holding, vault);
+          const simulation = await txManager.simulateTransaction({ from: holding.wallet, to: contractAddress, data });
+          if (!simulation.success) {
+            throw new Error(simulation.error);
+          }
+          
+          const gas = Math.ceil(simulation.gasEstimate * 1.2);
+          const receipt = await sendManagedTx(holding.wallet, { to: contractAddress, data, gas }, fees, 'collect');
+          results.push({ holding, status: 'fulfilled', value: receipt });
+        } catch (error) {
+          results.push({ holding, status: 'rejected', reason: error });
+        }
+      }
+      return results;
+    }, 
+    { concurrency: CONFIG.BATCH_CONCURRENCY }
+  );
+  const results = batches.flatMap(b => b.value);
+  
+  logAction('collect_completed', { 
+    contract: contractAddress, 
+    vault, 
+    moved: results.filter(r => r.status === 'fulfilled').length, 
+    failed: results.filter(r => r.status === 'rejected').length 
+  });
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.collectReport(results, vault, standard), 
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// ========== BALANCES ========== //
+const balanceMonitor = new BalanceMonitor(
+  web3, 
+  () => walletManager.getActiveWallets(), 
+  (wallets, threshold) => safeSendMessage(
+    CONFIG.ADMIN_ID, 
+    TelegramFormatter.lowBalanceAlert(wallets, threshold), 
+    { parse_mode: 'Markdown' }
+  ), 
+  { threshold: CONFIG.LOW_BALANCE_THRESHOLD, checkInterval: CONFIG.BALANCE_CHECK_INTERVAL, concurrency: CONFIG.BATCH_CONCURRENCY }
+);
+
+// Cost of one mint per wallet at the current price and fees (value + gas limit × max fee)
+async function getMintCost() {
+  const { toBN } = web3.utils;
+  const [unitPrice, fees] = await Promise.all([contractManager.getMintPrice(), feeManager.getFees()]);
+  return toBN(unitPrice).muln(contractManager.getMintQuantity()).add(toBN(feeManager.maxCost(fees, CONFIG.GAS_LIMIT))).toString();
+}
+
+// ========== TELEGRAM COMMAND HANDLERS ========== //
+bot.onText(/\/start/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  try {
+    // First try with Markdown formatting
+    await bot.sendMessage(msg.chat.id, TelegramFormatter.helpText(), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Error sending help message with Markdown:', error.message);
+    
+    try {
+      // Then try with HTML formatting
+      if (TelegramFormatter.helpTextHTML) {
+        await bot.sendMessage(msg.chat.id, TelegramFormatter.helpTextHTML(), { parse_mode: 'HTML' });
+      } else {
+        // Fallback to plain text if HTML method doesn't exist
+        throw new Error('HTML formatter not available');
+      }
+    } catch (htmlError) {
+      logger.error('Error sending help message with HTML:', htmlError.message);
+      
+      try {
+        // As a last resort, use plain text
+        const plainText = TelegramFormatter.plainHelpText ? 
+          TelegramFormatter.plainHelpText() : 
+          TelegramFormatter.helpText().replace(/\*/g, '').replace(/\`/g, '');
+          
+        await bot.sendMessage(msg.chat.id, plainText);
+      } catch (plainError) {
+        logger.error('All formatting attempts failed:', plainError.message);
+      }
+    }
+  }
+});
+
+bot.onText(/\/mint(?:\s+(.+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  // Format: /mint [dryrun] [strategy] [group]
+  const args = match[1] ? match[1].trim().split(/\s+/) : [];
+  const dryRun = args.includes('dryrun');
+  const feeStrategy = args.find(arg => FeeManager.isValidStrategy(arg));
+  const group = args.find(arg => arg !== 'dryrun' && arg !== feeStrategy && walletManager.hasGroup(arg));
+  const unknown = args.filter(arg => arg !== 'dryrun' && arg !== feeStrategy && arg !== group);
+  
+  if (unknown.length > 0) {
+    return await safeSendMessage(msg.chat.id, `❌ Unknown option or group: ${unknown.join(' ')}\nUse: /mint [dryrun] [${FeeManager.getStrategyNames().join('|')}] [group]`);
+  }
+  
+  if (dryRun) {
+    return await runDryRun(msg, { feeStrategy, group });
+  }
+  
+  await runBatchMint(msg, { feeStrategy, group });
+});
+
+bot.onText(/\/speedup (\S+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  try {
+    await replaceStuckTransaction(msg, match[1].trim(), 'speedup');
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error speeding up transaction: ${error.message}`);
+  }
+});
+
+bot.onText(/\/cancel (\S+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  try {
+    await replaceStuckTransaction(msg, match[1].trim(), 'cancel');
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error cancelling transaction: ${error.message}`);
+  }
+});
+
+bot.onText(/\/nonces(?:\s+(repair))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const wallets = walletManager.getActiveWallets();
+  if (wallets.length === 0) {
+    return await safeSendMessage(msg.chat.id, '❌ No active wallets configured. Use /addwallet to add wallets.');
+  }
+  
+  const repair = match[1] === 'repair';
+  await safeSendMessage(msg.chat.id, `${repair ? '🔧 Repairing' : '🔍 Checking'} nonces for ${wallets.length} wallets...`);
+  
+  const states = [];
+  for (const wallet of wallets) {
+    try {
+      states.push(repair 
+        ? await txManager.nonceManager.repair(wallet.address) 
+        : await txManager.nonceManager.inspect(wallet.address));
+    } catch (error) {
+      states.push({ address: wallet.address, error: error.message });
+    }
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.nonceReport(states, repair), 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/batch(?:\s+(\d+)(?:\s+(\d+))?)?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (match[1]) {
+    const concurrency = parseInt(match[1], 10);
+    if (concurrency < 1) {
+      return await safeSendMessage(msg.chat.id, '❌ Concurrency must be at least 1');
+    }
+    
+    CONFIG.BATCH_CONCURRENCY = concurrency;
+    if (match[2]) {
+      CONFIG.BATCH_DELAY = parseInt(match[2], 10);
+    }
+    logAction('batch_settings_updated', { concurrency, delay: CONFIG.BATCH_DELAY });
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    `⚙️ *Batch Settings*\n` +
+    `Concurrency: ${TelegramFormatter.code(CONFIG.BATCH_CONCURRENCY)}\n` +
+    `Delay between wallets: ${TelegramFormatter.code(CONFIG.BATCH_DELAY + 'ms')}`, 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/budget(?:\s+set\s+(\w+)\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (match[1]) {
+    try {
+      budgetManager.setCap(match[1], match[2]);
+    } catch (error) {
+      return await safeSendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  }
+  
+  const usage = budgetManager.getUsage(walletManager.getActiveWallets().map(w => w.address));
+  await safeSendMessage(msg.chat.id, TelegramFormatter.budgetReport(usage), { parse_mode: 'Markdown' });
+});
+
+bot.onText(/\/gas(?:\s+(\w+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (match[1]) {
+    try {
+      feeManager.setStrategy(match[1]);
+      await safeSendMessage(msg.chat.id, `✅ Fee strategy set to ${match[1]}`);
+    } catch (error) {
+      await safeSendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+    return;
+  }
+  
+  try {
+    const quotes = [];
+    for (const name of FeeManager.getStrategyNames()) {
+      quotes.push(await feeManager.getFees(name));
+    }
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.feeQuotes(quotes, feeManager.getStrategy()), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error fetching fees: ${error.message}`);
+  }
+});
+
+bot.onText(/\/arm/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  if (!activeContractAddress) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+  }
+  
+  try {
+    const armed = await saleWatcher.arm(activeContractAddress, msg.chat.id);
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      `🎯 *Armed*\n` +
+      `Contract: ${TelegramFormatter.code(activeContractAddress)}\n` +
+      `Watching: ${armed.watching.length > 0 ? armed.watching.map(m => `${m}()`).join(', ') : 'none'}\n` +
+      `Total Supply: ${TelegramFormatter.code(armed.initialSupply !== null ? armed.initialSupply : 'n/a')}\n` +
+      `Armed at block: ${TelegramFormatter.code(armed.armedAtBlock)}\n\n` +
+      `Batch mint starts as soon as minting opens. Use /disarm to stop.`, 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error arming watcher: ${error.message}`);
+  }
+});
+
+bot.onText(/\/disarm/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const wasArmed = saleWatcher.disarm();
+  if (wasArmed) {
+    await safeSendMessage(msg.chat.id, `✅ Watcher disarmed after ${wasArmed.lastBlock - wasArmed.armedAtBlock} blocks`);
+  } else {
+    await safeSendMessage(msg.chat.id, '❌ Watcher is not armed');
+  }
+});
+
+// Scheduling Commands
+bot.onText(/\/schedule (\S+)(?:\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const target = match[1].trim();
+  const contractAddress = match[2] ? match[2].trim() : null;
+  
+  if (contractAddress) {
+    if (!Validator.isValidContractAddress(contractAddress)) {
+      return await safeSendMessage(msg.chat.id, '❌ Invalid contract address format');
+    }
+    
+    const savedContract = contractManager.getAllContracts().find(c => 
+      c.address.toLowerCase() === contractAddress.toLowerCase()
+    );
+    if (!savedContract) {
+      return await safeSendMessage(msg.chat.id, '❌ Contract not found. Use /contadd to add it first.');
+    }
+  }
+  
+  try {
+    const schedule = await mintScheduler.addSchedule(target, msg.chat.id, contractAddress);
+    const remaining = await mintScheduler.getTimeRemaining(schedule);
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.scheduleCreated(schedule, remaining), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error scheduling mint: ${error.message}`);
+  }
+});
+
+bot.onText(/\/schedules/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.scheduleList(mintScheduler.getPendingSchedules()), 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/unschedule (\S+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const id = match[1].trim();
+  if (mintScheduler.removeSchedule(id)) {
+    await safeSendMessage(msg.chat.id, `✅ Scheduled mint cancelled: ${id}`);
+  } else {
+    await safeSendMessage(msg.chat.id, '❌ Schedule not found');
+  }
+});
+
+bot.onText(/\/status/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  try {
+    const activeContract = contractManager.getActiveContract();
+    const activeContractAddress = contractManager.getActiveContractAddress();
+    
+    if (!activeContract || !activeContractAddress) {
+      return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+    }
+    
+    await safeSendMessage(msg.chat.id, '⏳ Fetching contract status...');
+    
+    const [total, max] = await Promise.all([
+      activeContract.methods.totalSupply().call(),
+      activeContract.methods.MAX_SUPPLY().call(),
+    ]);
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.supplyStatus(total, max, activeContractAddress), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    logger.error('status_check_error', { error: error.message });
+    await safeSendMessage(msg.chat.id, `❌ Error fetching supply: ${error.message}`);
+  }
+});
+
+// Contract Management Commands
+bot.onText(/\/contracts/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const contracts = contractManager.getAllContracts();
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.contractList(contracts), 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/contadd (\S+)(?:\s+(.+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const address = match[1].trim();
+  const label = match[2] ? match[2].trim() : '';
+  
+  if (!Validator.isValidContractAddress(address)) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid contract address format');
+  }
+  
+  try {
+    // Validate contract before adding
+    await safeSendMessage(msg.chat.id, '⏳ Validating contract address...');
+    const validationResult = await contractManager.validateContract(address);
+    
+    if (typeof validationResult === 'object' && validationResult.valid === false) {
+      return await safeSendMessage(msg.chat.id, `❌ Invalid contract: ${validationResult.reason}`);
+    } else if (validationResult === false) {
+      return await safeSendMessage(msg.chat.id, '❌ Invalid contract: Required methods not found');
+    }
+    
+    const newContract = contractManager.addContract(address, label);
+    logAction('contract_added', { address, label });
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.contractAdded(newContract), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error adding contract: ${error.message}`);
+  }
+});
+
+bot.onText(/\/setmethods (\S+)(?:\s+(.+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  if (!activeContractAddress) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  
+  // Format: mintMethod,totalSupplyMethod,maxSupplyMethod [arg1 arg2 ...]
+  const methods = match[1].trim().split(',');
+  let mintArgs;
+  try {
+    mintArgs = match[2] ? ContractManager.splitMintArgs(match[2].trim()) : [];
+  } catch (error) {
+    return await safeSendMessage(msg.chat.id, `❌ ${error.message}`);
+  }
+  
+  if (methods.length < 1 || methods.length > 3) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /setmethods mintMethod,totalSupplyMethod,maxSupplyMethod [args]');
+  }
+  
+  const methodsObj = {
+    mint: methods[0],
+    totalSupply: methods.length > 1 ? methods[1] : 'totalSupply',
+    maxSupply: methods.length > 2 ? methods[2] : 'MAX_SUPPLY'
+  };
+  
+  try {
+    contractManager.updateContractMethods(activeContractAddress, methodsObj, mintArgs);
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      `✅ *Contract Methods Updated*\n` +
+      `Mint: ${TelegramFormatter.code(`${methodsObj.mint}(${mintArgs.join(', ')})`)}\n` +
+      `Total Supply: ${TelegramFormatter.code(methodsObj.totalSupply)}\n` +
+      `Max Supply: ${TelegramFormatter.code(methodsObj.maxSupply)}`, 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error updating methods: ${error.message}`);
+  }
+});
+
+// Format: /inspectcontract [contract]
+bot.onText(/\/inspectcontract(?:\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const address = match[1] || contractManager.getActiveContractAddress();
+  if (!address) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  if (!Validator.isValidContractAddress(address)) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid contract address');
+  }
+  
+  await safeSendMessage(msg.chat.id, `🔍 Reading bytecode of ${address}...`);
+  
+  const result = await contractManager.inspectContractMethods(address);
+  if (!result.valid) {
+    return await safeSendMessage(msg.chat.id, `❌ Inspection failed: ${result.error}`);
+  }
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    TelegramFormatter.inspectionReport(address, result), 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Attach a full ABI to a contract and report what it contains
+async function applyContractAbi(msg, address, abiInput) {
+  try {
+    contractManager.setContractAbi(address, abiInput);
+    const summary = contractManager.summarizeAbi(address);
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.abiSummary(address, summary), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error setting ABI: ${error.message}`);
+  }
+}
+
+// Format: /setabi [contract] <abi-json|reset>, or upload the ABI file with /setabi [contract] as the caption
+bot.onText(/\/setabi(?:\s+([\s\S]+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  let rest = match[1] ? match[1].trim() : '';
+  let address = contractManager.getActiveContractAddress();
+  const target = rest.split(/\s+/)[0];
+  if (Validator.isValidContractAddress(target)) {
+    address = target;
+    rest = rest.substring(target.length).trim();
+  }
+  
+  if (!address) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  
+  if (!rest) {
+    return await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.abiSummary(address, contractManager.summarizeAbi(address)), 
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  await applyContractAbi(msg, address, rest === 'reset' ? null : rest);
+});
+
+bot.onText(/\/setqty (\d+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  if (!activeContractAddress) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  
+  try {
+    const contract = contractManager.updateMintQuantity(activeContractAddress, parseInt(match[1], 10));
+    await safeSendMessage(msg.chat.id, `✅ Mint quantity set to ${contract.mintQuantity} per wallet`);
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error setting quantity: ${error.message}`);
+  }
+});
+
+bot.onText(/\/proofs/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const contract = contractManager.getAllContracts().find(c => c.active);
+  if (!contract) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  
+  const proofCount = Object.keys(contract.proofs || {}).length;
+  const covered = walletManager.getActiveWallets().filter(w => contractManager.getProof(w.address)).length;
+  
+  await safeSendMessage(
+    msg.chat.id, 
+    `🌳 *Allowlist Proofs*\n` +
+    `Contract: ${TelegramFormatter.code(contract.address)}\n` +
+    `Proofs: ${TelegramFormatter.code(proofCount)}\n` +
+    `Root: ${TelegramFormatter.code(contract.merkleRoot || 'n/a')}\n` +
+    `Active wallets covered: ${covered}/${walletManager.getActiveWallets().length}\n\n` +
+    `Upload a JSON file with caption /proofs to replace them.`, 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/clearproofs/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  if (!activeContractAddress) {
+    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+  }
+  
+  contractManager.clearProofs(activeContractAddress);
+  await safeSendMessage(msg.chat.id, '✅ Allowlist proofs cleared');
+});
+
+bot.onText(/\/contuse (\S+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const address = match[1].trim();
+  
+  try {
+    const activeContract = contractManager.activateContract(address);
+    
+    logAction('contract_activated', { address });
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.contractActivated(activeContract), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error activating contract: ${error.message}`);
+  }
+});
+
+bot.onText(/\/contrem (\S+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const address = match[1].trim();
+  
+  try {
+    const success = contractManager.removeContract(address);
+    
+    if (success) {
+      logAction('contract_removed', { address });
+      await safeSendMessage(
+        msg.chat.id, 
+        TelegramFormatter.contractRemoved(address), 
+        { parse_mode: 'Markdown' }
+      );
+    } else {
+      await safeSendMessage(msg.chat.id, '❌ Contract not found');
+    }
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error removing contract: ${error.message}`);
+  }
+});
+
+// Wallet Management Commands
+bot.onText(/\/addwallet (.+)/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+
+  const privateKey = match[1].trim();
+  deleteSensitiveMessage(msg, '/addwallet');
+  if (!await requirePrivateChat(msg)) return;
+  
+  try {
+    const address = walletManager.addWallet(privateKey);
+    await safeSendMessage(msg.chat.id, `✅ Wallet added successfully!\nAddress: ${address}`);
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error adding wallet: ${error.message}`);
+  }
+});
+
+bot.onText(/\/setfunder(?:\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (match[1]) {
+    try {
+      walletManager.setFunder(match[1]);
+    } catch (error) {
+      return await safeSendMessage(msg.chat.id, `❌ Error setting funder: ${error.message}`);
+    }
+  }
+  
+  const funder = walletManager.getFunder();
+  await safeSendMessage(
+    msg.chat.id, 
+    funder 
+      ? `💼 Funder wallet: ${TelegramFormatter.code(funder.address)}` 
+      : '💼 No funder wallet set. Use /setfunder <address>', 
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Format: /fund <target-balance> [group] | /fund +<amount> [group] | /fund confirm | /fund cancel
+bot.onText(/\/fund(?:\s+(\S+)(?:\s+(\S+))?)?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const arg = match[1];
+  const group = match[2] || null;
+  
+  if (arg === 'confirm' || arg === 'cancel') {
+    const pending = pendingFunding.get(msg.chat.id);
+    pendingFunding.delete(msg.chat.id);
+    
+    if (!pending || pending.expiresAt < Date.now()) {
+      return await safeSendMessage(msg.chat.id, '❌ Nothing to confirm. Run /fund again to get a new preview.');
+    }
+    if (arg === 'cancel') {
+      return await safeSendMessage(msg.chat.id, '🛑 Funding cancelled');
+    }
+    
+    try {
+      return await runFunding(msg, pending.plan);
+    } catch (error) {
+      logger.error('funding_error', { error: error.message });
+      return await safeSendMessage(msg.chat.id, `❌ Error funding wallets: ${error.message}`);
+    }
+  }
   
-  const activeWallets = walletManager.getActiveWallets();
-  if (activeWallets.length === 0) {
-    return await safeSendMessage(msg.chat.id, '❌ No active wallets configured. Use /addwallet to add wallets.');
+  const parsed = arg && arg.match(/^(\+)?(\d+(?:\.\d+)?)$/);
+  if (!parsed) {
+    return await safeSendMessage(
+      msg.chat.id, 
+      '❌ Invalid format. Use: /fund <target-balance> [group] to top up wallets below it, or /fund +<amount> [group] to send a fixed amount'
+    );
+  }
+  if (group && !walletManager.hasGroup(group)) {
+    return await safeSendMessage(msg.chat.id, `❌ Group '${group}' not found`);
   }
   
-  const activeContractAddress = contractManager.getActiveContractAddress();
-  if (!activeContractAddress) {
-    return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+  try {
+    const plan = await planFunding(parsed[1] ? 'amount' : 'target', parsed[2], group);
+    if (plan.transfers.length === 0) {
+      return await safeSendMessage(msg.chat.id, '✅ Every active wallet is already at or above the target');
+    }
+    
+    pendingFunding.set(msg.chat.id, { plan, expiresAt: Date.now() + FUND_CONFIRM_TIMEOUT });
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.fundingPreview(plan, FUND_CONFIRM_TIMEOUT), 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error planning funding: ${error.message}`);
   }
+});
+
+// Format: /collect <contract> <vault>
+bot.onText(/\/collect(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  await safeSendMessage(msg.chat.id, `🚀 Starting batch mint with ${activeWallets.length} wallets on contract ${activeContractAddress.substring(0, 8)}...`);
+  const [, contractAddress, vault] = match;
+  if (!contractAddress || !Validator.isValidAddress(contractAddress) || !Validator.isValidAddress(vault)) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /collect <contract> <vault>');
+  }
   
   try {
-    const receipts = await Promise.all(activeWallets.map(wallet => sendMonadMintTx(wallet.address, msg)));
-    const successful = receipts.filter(r => r).length;
-    await safeSendMessage(msg.chat.id, `🎉 Batch mint complete!\n✅ ${successful}/${activeWallets.length} successful`);
+    await runCollect(msg, contractAddress, vault);
   } catch (error) {
-    logger.error('batch_mint_error', { error: error.message });
-    await safeSendMessage(msg.chat.id, `⚠️ Some mints failed, check /history for details`);
+    logger.error('collect_error', { error: error.message });
+    await safeSendMessage(msg.chat.id, `❌ Error collecting NFTs: ${error.message}`);
   }
 });
 
-bot.onText(/\/status/, async (msg) => {
+// Format: /sweep <vault-address> [keep] [group] | /sweep confirm | /sweep cancel
+bot.onText(/\/sweep(?:\s+(.+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  try {
-    const activeContract = contractManager.getActiveContract();
-    const activeContractAddress = contractManager.getActiveContractAddress();
+  const arg = match[1] ? match[1].trim() : '';
+  if (arg === 'confirm' || arg === 'cancel') {
+    const pending = pendingSweeps.get(msg.chat.id);
+    pendingSweeps.delete(msg.chat.id);
     
-    if (!activeContract || !activeContractAddress) {
-      return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd to add a contract.');
+    if (!pending || pending.expiresAt < Date.now()) {
+      return await safeSendMessage(msg.chat.id, '❌ Nothing to confirm. Run /sweep again to get a new preview.');
+    }
+    if (arg === 'cancel') {
+      return await safeSendMessage(msg.chat.id, '🛑 Sweep cancelled');
     }
     
-    await safeSendMessage(msg.chat.id, '⏳ Fetching contract status...');
-    
-    const [total, max] = await Promise.all([
-      activeContract.methods.totalSupply().call(),
-      activeContract.methods.MAX_SUPPLY().call(),
-    ]);
+    try {
+      return await runSweep(msg, pending.plan);
+    } catch (error) {
+      logger.error('sweep_error', { error: error.message });
+      return await safeSendMessage(msg.chat.id, `❌ Error sweeping wallets: ${error.message}`);
+    }
+  }
+  
+  const [vault, ...rest] = match[1] ? match[1].trim().split(/\s+/) : [];
+  const keep = rest.find(arg => /^\d+(\.\d+)?$/.test(arg)) || CONFIG.SWEEP_KEEP;
+  const group = rest.find(arg => !/^\d+(\.\d+)?$/.test(arg)) || null;
+  
+  if (!vault || !Validator.isValidAddress(vault) || rest.length > 2) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /sweep <vault-address> [keep] [group]');
+  }
+  if (group && !walletManager.hasGroup(group)) {
+    return await safeSendMessage(msg.chat.id, `❌ Group '${group}' not found`);
+  }
+  
+  try {
+    const plan = await planSweep(vault, keep, group);
+    if (plan.transfers.length === 0) {
+      return await safeSendMessage(msg.chat.id, `✅ Nothing to sweep, every wallet is at or below ${keep} MON + gas`);
+    }
     
+    pendingSweeps.set(msg.chat.id, { plan, expiresAt: Date.now() + FUND_CONFIRM_TIMEOUT });
     await safeSendMessage(
       msg.chat.id, 
-      TelegramFormatter.supplyStatus(total, max, activeContractAddress), 
+      TelegramFormatter.sweepPreview(plan, FUND_CONFIRM_TIMEOUT), 
       { parse_mode: 'Markdown' }
     );
   } catch (error) {
-    logger.error('status_check_error', { error: error.message });
-    await safeSendMessage(msg.chat.id, `❌ Error fetching supply: ${error.message}`);
+    await safeSendMessage(msg.chat.id, `❌ Error planning sweep: ${error.message}`);
   }
 });
 
-// Contract Management Commands
-bot.onText(/\/contracts/, async (msg) => {
+// Format: /rotatekey <current-password> <new-password>
+bot.onText(/\/rotatekey(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  const contracts = contractManager.getAllContracts();
-  await safeSendMessage(
-    msg.chat.id, 
-    TelegramFormatter.contractList(contracts), 
-    { parse_mode: 'Markdown' }
-  );
+  // The command carries both passwords, don't leave it in the chat
+  deleteSensitiveMessage(msg, '/rotatekey');
+  if (!await requirePrivateChat(msg)) return;
+  
+  if (!match[1]) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /rotatekey <current-password> <new-password>');
+  }
+  
+  try {
+    const count = walletManager.rotatePassword(match[1], match[2]);
+    await safeSendMessage(
+      msg.chat.id, 
+      `🔑 Re-encrypted ${count} wallet(s)${walletManager.hasMnemonic() ? ' and the HD mnemonic' : ''} under the new password.\n` +
+      `⚠️ Update MASTER_PASSWORD in .env now, the old password will not unlock the store after a restart.`
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Key rotation failed: ${error.message}`);
+  }
 });
 
-bot.onText(/\/contadd (\S+)(?:\s+(.+))?/, async (msg, match) => {
+// Format: /exportwallets <password>
+bot.onText(/\/exportwallets(?:\s+(\S+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  const address = match[1].trim();
-  const label = match[2] ? match[2].trim() : '';
+  // Don't leave the archive password in the chat
+  deleteSensitiveMessage(msg, '/exportwallets');
+  if (!await requirePrivateChat(msg)) return;
   
-  if (!Validator.isValidContractAddress(address)) {
-    return await safeSendMessage(msg.chat.id, '❌ Invalid contract address format');
+  if (!match[1]) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /exportwallets <password>');
+  }
+  
+  const wallets = walletManager.getSigningWallets();
+  if (wallets.length === 0) {
+    return await safeSendMessage(msg.chat.id, '📝 No wallets configured');
   }
   
   try {
-    // Validate contract before adding
-    await safeSendMessage(msg.chat.id, '⏳ Validating contract address...');
-    const validationResult = await contractManager.validateContract(address);
-    
-    if (typeof validationResult === 'object' && validationResult.valid === false) {
-      return await safeSendMessage(msg.chat.id, `❌ Invalid contract: ${validationResult.reason}`);
-    } else if (validationResult === false) {
-      return await safeSendMessage(msg.chat.id, '❌ Invalid contract: Required methods not found');
-    }
-    
-    const newContract = contractManager.addContract(address, label);
-    logAction('contract_added', { address, label });
+    WalletManager.checkPasswordStrength(match[1], 'Archive password');
+    await safeSendMessage(msg.chat.id, `⏳ Encrypting ${wallets.length} wallet(s)...`);
     
-    await safeSendMessage(
+    const archive = buildKeystoreArchive(web3, wallets.map(w => walletManager.getWallet(w.address)), match[1]);
+    const fileName = `wallets-${new Date().toISOString().slice(0, 10)}.zip`;
+    await bot.sendDocument(
       msg.chat.id, 
-      TelegramFormatter.contractAdded(newContract), 
-      { parse_mode: 'Markdown' }
+      archive, 
+      { caption: `🔐 ${wallets.length} keystore file(s). Restore with /importwallets <password> as the caption.` },
+      { filename: fileName, contentType: 'application/zip' }
     );
+    logAction('wallets_exported', { count: wallets.length });
   } catch (error) {
-    await safeSendMessage(msg.chat.id, `❌ Error adding contract: ${error.message}`);
+    await safeSendMessage(msg.chat.id, `❌ Export failed: ${error.message}`);
   }
 });
-// In your telegram.js setupBotCommands function
 
-// Set contract address
-bot.onText(/\/setcontract (.+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  
-  if (!isAdmin(msg.from.id)) {
-    return bot.sendMessage(chatId, '⛔ You are not authorized to use this command');
-  }
-// Define the isAdmin function
-function isAdmin(userId) {
-  const ADMIN_IDS = [6668515216]; // Replace with your actual admin user IDs
-  return ADMIN_IDS.includes(userId);
-}
+const MNEMONIC_DISPLAY_TIMEOUT = 60000; // 1 minute to copy a newly generated mnemonic
 
-bot.onText(/\/contuse (\S+)/, async (msg, match) => {
+// Format: /genwallets <count> [label-prefix] or /genwallets import <mnemonic>
+bot.onText(/\/genwallets(?:\s+(.+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  const address = match[1].trim();
+  const args = match[1] ? match[1].trim().split(/\s+/) : [];
+  
+  if (args[0] === 'import') {
+    deleteSensitiveMessage(msg, '/genwallets import');
+    if (!await requirePrivateChat(msg)) return;
+    
+    try {
+      walletManager.setMnemonic(args.slice(1).join(' '));
+      return await safeSendMessage(msg.chat.id, '✅ Mnemonic imported and encrypted. Use /genwallets <count> to derive wallets.');
+    } catch (error) {
+      return await safeSendMessage(msg.chat.id, `❌ Error importing mnemonic: ${error.message}`);
+    }
+  }
+  
+  const count = parseInt(args[0], 10);
+  if (!count || count < 1 || count > 100) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /genwallets <count 1-100> [label-prefix] or /genwallets import <mnemonic>');
+  }
+  const labelPrefix = args.slice(1).join(' ') || 'HD';
   
   try {
-    const activeContract = contractManager.activateContract(address);
+    // First use: generate a mnemonic and show it exactly once
+    if (!walletManager.hasMnemonic()) {
+      if (!await requirePrivateChat(msg, false)) return;
+
+      const mnemonic = walletManager.setMnemonic();
+      const sent = await safeSendMessage(
+        msg.chat.id, 
+        `🔐 *New mnemonic generated*\n${TelegramFormatter.code(mnemonic)}\n\n` +
+        `⚠️ Write it down now, this message is deleted in ${TelegramFormatter.duration(MNEMONIC_DISPLAY_TIMEOUT)} ` +
+        `and the mnemonic will not be shown again. Anyone with it controls every derived wallet. ` +
+        `If the message is still here after that, delete it yourself.`, 
+        { parse_mode: 'Markdown' }
+      );
+      if (sent) {
+        setTimeout(() => deleteSensitiveMessage(sent, 'mnemonic'), MNEMONIC_DISPLAY_TIMEOUT);
+      }
+    }
     
-    logAction('contract_activated', { address });
+    const added = walletManager.deriveWallets(count, labelPrefix);
     await safeSendMessage(
       msg.chat.id, 
-      TelegramFormatter.contractActivated(activeContract), 
+      `✅ Derived ${added.length} wallets (index ${added[0].index}-${added[added.length - 1].index})\n` +
+      added.map(w => `${w.index}: ${TelegramFormatter.code(w.address)}`).join('\n'), 
       { parse_mode: 'Markdown' }
     );
   } catch (error) {
-    await safeSendMessage(msg.chat.id, `❌ Error activating contract: ${error.message}`);
+    await safeSendMessage(msg.chat.id, `❌ Error generating wallets: ${error.message}`);
   }
 });
 
-bot.onText(/\/contrem (\S+)/, async (msg, match) => {
+bot.onText(/\/balances(?:\s+(\S+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
   
-  const address = match[1].trim();
+  const group = match[1] || null;
+  const wallets = walletManager.getAllWallets(group);
+  if (wallets.length === 0) {
+    return await safeSendMessage(msg.chat.id, group ? `📝 No wallets in group '${group}'` : '📝 No wallets configured');
+  }
   
   try {
-    const success = contractManager.removeContract(address);
+    // Without a price the balances are still worth showing, just not whether they cover a mint
+    const [balances, mintCost] = await Promise.all([
+      balanceMonitor.getBalances(wallets, contractManager.getActiveContractAddress(), CONFIG.BATCH_CONCURRENCY),
+      getMintCost().catch(error => {
+        logger.warn('Mint cost unavailable for /balances', { error: error.message });
+        return null;
+      })
+    ]);
     
-    if (success) {
-      logAction('contract_removed', { address });
-      await safeSendMessage(
-        msg.chat.id, 
-        TelegramFormatter.contractRemoved(address), 
-        { parse_mode: 'Markdown' }
-      );
-    } else {
-      await safeSendMessage(msg.chat.id, '❌ Contract not found');
-    }
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.balanceDashboard(balances, mintCost, balanceMonitor.threshold), 
+      { parse_mode: 'Markdown' }
+    );
   } catch (error) {
-    await safeSendMessage(msg.chat.id, `❌ Error removing contract: ${error.message}`);
+    await safeSendMessage(msg.chat.id, `❌ Error fetching balances: ${error.message}`);
   }
 });
 
-// Wallet Management Commands
-bot.onText(/\/addwallet (.+)/, async (msg, match) => {
+bot.onText(/\/balancealert(?:\s+(\S+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (match[1]) {
+    if (!/^\d+(\.\d+)?$/.test(match[1])) {
+      return await safeSendMessage(msg.chat.id, '❌ Threshold must be a MON amount, 0 disables alerts');
+    }
+    
+    balanceMonitor.stop();
+    balanceMonitor.setThreshold(match[1]);
+    balanceMonitor.start();
+  }
+  
+  const threshold = web3.utils.fromWei(balanceMonitor.threshold, 'ether');
+  await safeSendMessage(
+    msg.chat.id, 
+    threshold === '0' 
+      ? '🔕 Low-balance alerts are off' 
+      : `🔔 Alerting when an active wallet drops under ${threshold} MON`
+  );
+});
 
-  const privateKey = match[1].trim();
+// Format: /group add|remove <group> <address...> or /group list [group]
+bot.onText(/\/group(?:\s+(.+))?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const [action, group, ...addresses] = match[1] ? match[1].trim().split(/\s+/) : ['list'];
+  
+  if (action === 'list') {
+    if (group) {
+      return await safeSendMessage(
+        msg.chat.id, 
+        TelegramFormatter.walletList(walletManager.getAllWallets(group)), 
+        { parse_mode: 'Markdown' }
+      );
+    }
+    return await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.groupList(walletManager.getGroups()), 
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  if (!['add', 'remove'].includes(action) || !group || addresses.length === 0) {
+    return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /group add|remove <group> <address...> or /group list [group]');
+  }
+  
+  // Group names share argument slots with these in /mint and /fund
+  if (action === 'add' && (FeeManager.isValidStrategy(group) || ['dryrun', 'confirm', 'cancel'].includes(group))) {
+    return await safeSendMessage(msg.chat.id, `❌ '${group}' is reserved, pick another group name`);
+  }
+  
   try {
-    const address = walletManager.addWallet(privateKey);
-    await safeSendMessage(msg.chat.id, `✅ Wallet added successfully!\nAddress: ${address}`);
+    const updated = action === 'add' 
+      ? walletManager.addToGroup(group, addresses) 
+      : walletManager.removeFromGroup(group, addresses);
+    const missed = addresses.length - updated.length;
+    
+    await safeSendMessage(
+      msg.chat.id, 
+      `✅ ${action === 'add' ? 'Added' : 'Removed'} ${updated.length} wallet(s) ${action === 'add' ? 'to' : 'from'} ${group}` +
+      (missed > 0 ? `\n⚠️ ${missed} address(es) not found${action === 'remove' ? ' or not in the group' : ''}` : '')
+    );
   } catch (error) {
-    await safeSendMessage(msg.chat.id, `❌ Error adding wallet: ${error.message}`);
+    await safeSendMessage(msg.chat.id, `❌ Error updating group: ${error.message}`);
   }
 });
 
@@ -376,6 +1797,33 @@ bot.onText(/\/wallets/, async (msg) => {
   );
 });
 
+// Format: /watch <address> [label], or /watch alone to list watched wallets
+bot.onText(/\/watch(?:\s+(\S+)(?:\s+(.+))?)?/, async (msg, match) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  if (!match[1]) {
+    const watched = walletManager.getWatchWallets();
+    return await safeSendMessage(
+      msg.chat.id, 
+      watched.length > 0 
+        ? TelegramFormatter.walletList(watched) 
+        : '👁 No watch-only wallets. Use /watch <address> [label]', 
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  try {
+    const address = walletManager.addWatchWallet(match[1], match[2] ? match[2].trim() : '');
+    await safeSendMessage(
+      msg.chat.id, 
+      `👁 Watching ${TelegramFormatter.code(address)}\nIt shows up in /balances and /wallethistory and never signs.`, 
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error adding watch-only wallet: ${error.message}`);
+  }
+});
+
 bot.onText(/\/togglewallet (.+)/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
 
@@ -401,11 +1849,29 @@ bot.onText(/\/removewallet (.+)/, async (msg, match) => {
 });
 
 // Transaction History Commands
-bot.onText(/\/history(?:\s+(\d+))?/, async (msg, match) => {
+bot.onText(/\/history(?:\s+(.+))?/, async (msg, match) => {
   if (msg.from.id !== CONFIG.ADMIN_ID) return;
 
-  const limit = match[1] ? parseInt(match[1]) : 5;
-  const history = txManager.getTransactionHistory(null, limit);
+  // Format: /history [count] [contract] [#tokenId] [type], in any order
+  const args = match[1] ? match[1].trim().split(/\s+/) : [];
+  const filters = {};
+  let limit = 5;
+  
+  for (const arg of args) {
+    if (/^#\d+$/.test(arg)) {
+      filters.tokenId = arg.substring(1);
+    } else if (/^\d+$/.test(arg)) {
+      limit = parseInt(arg);
+    } else if (Validator.isValidAddress(arg)) {
+      filters.contract = arg;
+    } else if (/^[a-z]+$/.test(arg)) {
+      filters.type = arg;
+    } else {
+      return await safeSendMessage(msg.chat.id, '❌ Invalid format. Use: /history [count] [contract] [#tokenId] [mint|fund|sweep|collect]');
+    }
+  }
+  
+  const history = txManager.getTransactionHistory(null, limit, filters);
   
   if (history.length === 0) {
     return await safeSendMessage(msg.chat.id, '📜 No transaction history available');
@@ -415,13 +1881,18 @@ bot.onText(/\/history(?:\s+(\d+))?/, async (msg, match) => {
   
   history.forEach((tx, index) => {
     const date = new Date(tx.timestamp).toLocaleString();
-    const statusEmoji = tx.status === 'confirmed' ? '✅' : 
-                        tx.status === 'pending' ? '⏳' : '❌';
+    const statusEmoji = TelegramFormatter.statusEmoji(tx.status);
+    const minted = txManager.getMintedTokens(tx);
     
-    message += `*${index + 1}. ${statusEmoji} ${tx.status.toUpperCase()}*\n` +
+    message += `*${index + 1}. ${statusEmoji} ${tx.status.toUpperCase()}*${tx.type ? ` (${tx.type})` : ''}\n` +
                `Time: ${date}\n` +
                `From: \`${tx.from.substring(0, 10)}...\`\n` +
-               `Tx: [${tx.hash.substring(0, 10)}...](${CONFIG.EXPLORER_URL}${tx.hash})\n\n`;
+               (tx.value && tx.value !== '0' ? `Value: ${web3.utils.fromWei(tx.value, 'ether')} MON\n` : '') +
+               `Tx: [${tx.hash.substring(0, 10)}...](${CONFIG.EXPLORER_URL}${tx.hash})\n` +
+               (minted.length > 0 ? `Minted: ${TelegramFormatter.tokenList(minted)}\n` : '') +
+               (tx.revertReason ? `Reason: ${tx.revertReason}\n` : '') +
+               (tx.events ? `Events: ${[...new Set(tx.events.map(e => e.name))].join(', ')}\n` : '') +
+               TelegramFormatter.replacementLines(txManager.getReplacements(tx), CONFIG.EXPLORER_URL) + '\n';
   });
   
   await safeSendMessage(msg.chat.id, message, { 
@@ -440,7 +1911,19 @@ bot.onText(/\/wallethistory (.+)/, async (msg, match) => {
 
   const history = txManager.getTransactionHistory(address, 10);
   
-  if (history.length === 0) {
+  // The bot never sends from a watch-only wallet, so look up what it received on chain instead
+  const watched = walletManager.getWatchWallets().find(w => w.address.toLowerCase() === address.toLowerCase());
+  const activeContractAddress = contractManager.getActiveContractAddress();
+  let received = [];
+  if (watched && activeContractAddress) {
+    try {
+      received = await nftCollector.scanTransfers(activeContractAddress, [address]);
+    } catch (error) {
+      logger.warn('Transfer log scan failed', { address, error: error.message });
+    }
+  }
+  
+  if (history.length === 0 && received.length === 0) {
     return await safeSendMessage(
       msg.chat.id, 
       `📜 No transaction history for \`${address}\``, 
@@ -448,16 +1931,29 @@ bot.onText(/\/wallethistory (.+)/, async (msg, match) => {
     );
   }
   
-  let message = `📜 *Transaction History for*\n\`${address}\`\n\n`;
+  let message = `📜 *Transaction History for*\n\`${address}\`${watched ? ' (watch-only)' : ''}\n\n`;
+  
+  if (received.length > 0) {
+    const minted = received.filter(t => t.from === ZERO_ADDRESS);
+    const transferred = received.filter(t => t.from !== ZERO_ADDRESS);
+    message += `*Received on ${activeContractAddress.substring(0, 10)}...* (last ${CONFIG.COLLECT_SCAN_BLOCKS} blocks)\n` +
+               (minted.length > 0 ? `Minted: ${TelegramFormatter.tokenList(minted)}\n` : '') +
+               (transferred.length > 0 ? `Transferred in: ${TelegramFormatter.tokenList(transferred)}\n` : '') + '\n';
+  }
   
   history.forEach((tx, index) => {
     const date = new Date(tx.timestamp).toLocaleString();
-    const statusEmoji = tx.status === 'confirmed' ? '✅' : 
-                        tx.status === 'pending' ? '⏳' : '❌';
+    const statusEmoji = TelegramFormatter.statusEmoji(tx.status);
+    const minted = txManager.getMintedTokens(tx);
     
-    message += `*${index + 1}. ${statusEmoji} ${tx.status.toUpperCase()}*\n` +
+    message += `*${index + 1}. ${statusEmoji} ${tx.status.toUpperCase()}*${tx.type ? ` (${tx.type})` : ''}\n` +
                `Time: ${date}\n` +
-               `Tx: [${tx.hash.substring(0, 10)}...](${CONFIG.EXPLORER_URL}${tx.hash})\n\n`;
+               (tx.value && tx.value !== '0' ? `Value: ${web3.utils.fromWei(tx.value, 'ether')} MON\n` : '') +
+               `Tx: [${tx.hash.substring(0, 10)}...](${CONFIG.EXPLORER_URL}${tx.hash})\n` +
+               (minted.length > 0 ? `Minted: ${TelegramFormatter.tokenList(minted)}\n` : '') +
+               (tx.revertReason ? `Reason: ${tx.revertReason}\n` : '') +
+               (tx.events ? `Events: ${[...new Set(tx.events.map(e => e.name))].join(', ')}\n` : '') +
+               TelegramFormatter.replacementLines(txManager.getReplacements(tx), CONFIG.EXPLORER_URL) + '\n';
   });
   
   await safeSendMessage(msg.chat.id, message, { 
@@ -466,6 +1962,109 @@ bot.onText(/\/wallethistory (.+)/, async (msg, match) => {
   });
 });
 
+bot.onText(/\/reconcile/, async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  await safeSendMessage(msg.chat.id, '⏳ Checking pending transactions...');
+  
+  try {
+    const result = await txManager.reconcilePending(address => contractManager.getContractAbi(address));
+    await safeSendMessage(
+      msg.chat.id, 
+      TelegramFormatter.reconcileSummary(result, CONFIG.EXPLORER_URL), 
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
+    );
+  } catch (error) {
+    await safeSendMessage(msg.chat.id, `❌ Error reconciling transactions: ${error.message}`);
+  }
+});
+
+// Document Uploads (command in the caption)
+bot.on('document', async (msg) => {
+  if (msg.from.id !== CONFIG.ADMIN_ID) return;
+  
+  const command = (msg.caption || '').trim().split(/\s+/)[0];
+  
+  // A keystore archive or a text/CSV file of keys, one per line
+  if (command === '/importwallets' || command === '/addwallet') {
+    // The caption may carry the archive password and the file may hold raw keys
+    deleteSensitiveMessage(msg, `${command} upload`);
+    if (!await requirePrivateChat(msg)) return;
+    
+    try {
+      const password = (msg.caption || '').trim().split(/\s+/)[1] || null;
+      const content = await downloadDocument(msg.document.file_id);
+      const entries = readWalletImport(web3, content, password);
+      if (entries.length === 0) {
+        return await safeSendMessage(msg.chat.id, '❌ No wallets found in the file');
+      }
+      
+      // One line per entry, a large file runs well past a single message
+      await sendLongMessage(
+        msg.chat.id, 
+        TelegramFormatter.importReport(walletManager.importWallets(entries)), 
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      await safeSendMessage(msg.chat.id, `❌ Error importing wallets: ${error.message}`);
+    }
+  }
+  
+  if (command === '/setabi') {
+    // Caption: /setabi [contract] [reset]
+    const args = (msg.caption || '').trim().split(/\s+/).slice(1);
+    let address = contractManager.getActiveContractAddress();
+    if (args.length > 0 && Validator.isValidContractAddress(args[0])) {
+      address = args.shift();
+    }
+    if (args.length > 1 || (args.length === 1 && args[0] !== 'reset')) {
+      return await safeSendMessage(msg.chat.id, '❌ Invalid caption. Use: /setabi [contract] [reset]');
+    }
+    if (!address) {
+      return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+    }
+    
+    if (args[0] === 'reset') {
+      return await applyContractAbi(msg, address, null);
+    }
+    
+    try {
+      const content = await downloadDocument(msg.document.file_id);
+      await applyContractAbi(msg, address, content.toString('utf8'));
+    } catch (error) {
+      await safeSendMessage(msg.chat.id, `❌ Error reading ABI file: ${error.message}`);
+    }
+  }
+  
+  if (command === '/proofs') {
+    const activeContractAddress = contractManager.getActiveContractAddress();
+    if (!activeContractAddress) {
+      return await safeSendMessage(msg.chat.id, '❌ No active contract configured. Use /contadd first.');
+    }
+    
+    try {
+      const content = await downloadDocument(msg.document.file_id);
+      const { root, proofs } = parseProofFile(content.toString('utf8'));
+      contractManager.setProofs(activeContractAddress, proofs, root);
+      
+      const activeWallets = walletManager.getActiveWallets();
+      const covered = activeWallets.filter(w => proofs[w.address.toLowerCase()]).length;
+      
+      await safeSendMessage(
+        msg.chat.id, 
+        `✅ *Allowlist Proofs Loaded*\n` +
+        `Proofs: ${TelegramFormatter.code(Object.keys(proofs).length)}\n` +
+        `Root: ${TelegramFormatter.code(root || 'n/a')}\n` +
+        `Active wallets covered: ${covered}/${activeWallets.length}\n\n` +
+        `Use {proof} in /setmethods to pass it to the mint call.`, 
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      await safeSendMessage(msg.chat.id, `❌ Error loading proofs: ${error.message}`);
+    }
+  }
+});
+
 // ========== SERVER SETUP ========== //
 app.get('/', (req, res) => res.send('MONAD Mint Bot 🚀'));
 
@@ -492,9 +2091,33 @@ process.on('unhandledRejection', (error) => {
   });
 });
 
+// Settle transactions that were still pending when the bot last stopped
+txManager.reconcilePending(address => contractManager.getContractAbi(address))
+  .then(result => {
+    if (result.changes.length > 0 || result.stillPending > 0) {
+      return safeSendMessage(
+        CONFIG.ADMIN_ID, 
+        TelegramFormatter.reconcileSummary(result, CONFIG.EXPLORER_URL), 
+        { parse_mode: 'Markdown', disable_web_page_preview: true }
+      );
+    }
+  })
+  .catch(error => logger.error('Startup reconciliation failed', { error: error.message }));
+
+// Resume schedules saved before the last restart
+mintScheduler.expireMissedSchedules().forEach(schedule => {
+  safeSendMessage(
+    schedule.chatId, 
+    `⚠️ Scheduled mint ${schedule.id} (${TelegramFormatter.scheduleTarget(schedule)}) was missed while the bot was offline`
+  ).catch(error => logger.error('Error reporting missed schedule', { error: error.message }));
+});
+mintScheduler.start();
+balanceMonitor.start();
+
 // Log startup
 logAction('bot_started', { 
   wallets: walletManager.getActiveWallets().length,
-  contracts: contractManager.getAllContracts().length
+  contracts: contractManager.getAllContracts().length,
+  schedules: mintScheduler.getPendingSchedules().length
 });
 
@@ -0,0 +1,121 @@
+// merkle.js
+const Web3 = require('web3');
+const Validator = require('./validation');
+const web3 = new Web3(); // Hashing only, no provider needed
+
+// Hash two nodes in sorted order, matching OpenZeppelin's MerkleProof.verify
+function hashPair(a, b) {
+  const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return web3.utils.soliditySha3({ type: 'bytes32', value: left }, { type: 'bytes32', value: right });
+}
+
+// Leaf for an allowlisted address: keccak256(abi.encodePacked(address))
+function hashLeaf(address) {
+  return web3.utils.soliditySha3({ type: 'address', value: address });
+}
+
+// Build a tree from allowlisted addresses and return its root and a proof per address
+function buildMerkleTree(addresses) {
+  if (addresses.length === 0) {
+    throw new Error('Cannot build a Merkle tree from an empty list');
+  }
+
+  const invalid = addresses.find(address => !Validator.isValidAddress(address));
+  if (invalid) {
+    throw new Error(`Invalid address in leaf list: ${invalid}`);
+  }
+
+  const leaves = addresses.map(hashLeaf);
+  const layers = [leaves];
+
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      // An odd node out is promoted to the next layer unchanged
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  addresses.forEach((address, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (let level = 0; level < layers.length - 1; level++) {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      if (siblingIndex < layers[level].length) {
+        proof.push(layers[level][siblingIndex]);
+      }
+      index = Math.floor(index / 2);
+    }
+    proofs[address.toLowerCase()] = proof;
+  });
+
+  return { root: layers[layers.length - 1][0], proofs };
+}
+
+// Recompute the root for an address from its proof
+function verifyProof(address, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(address));
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+// Accept either an address -> proof map (checked against its root, if it has one) or a list of allowlisted addresses
+function parseProofFile(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error('Proof file is not valid JSON');
+  }
+
+  if (typeof data !== 'object' || data === null) {
+    throw new Error('Proof file must be an address → proof map or a list of addresses');
+  }
+
+  const leaves = Array.isArray(data) ? data : data.leaves;
+  if (Array.isArray(leaves)) {
+    return buildMerkleTree(leaves);
+  }
+
+  const { root = null, ...entries } = data;
+  const map = data.proofs || entries;
+  if (typeof map !== 'object' || map === null) {
+    throw new Error('Proof file must be an address → proof map or a list of addresses');
+  }
+
+  const proofs = {};
+  Object.entries(map).forEach(([address, proof]) => {
+    if (!Validator.isValidAddress(address)) {
+      throw new Error(`Invalid address in proof file: ${address}`);
+    }
+    if (!Array.isArray(proof) || !proof.every(node => /^0x[0-9a-fA-F]{64}$/.test(node))) {
+      throw new Error(`Proof for ${address} must be an array of bytes32 hex strings`);
+    }
+    proofs[address.toLowerCase()] = proof;
+  });
+
+  if (Object.keys(proofs).length === 0) {
+    throw new Error('Proof file contains no proofs');
+  }
+
+  // With a root given, every proof has to lead to it, or the mints would only fail on chain
+  if (root !== null) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(root)) {
+      throw new Error('Root in proof file must be a bytes32 hex string');
+    }
+    const failed = Object.keys(proofs).filter(address => !verifyProof(address, proofs[address], root));
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} proof(s) don't match the root, e.g. ${failed.slice(0, 3).join(', ')}`);
+    }
+  }
+
+  return { root, proofs };
+}
+
+module.exports = {
+  buildMerkleTree,
+  verifyProof,
+  parseProofFile
+};
@@ -0,0 +1,186 @@
+// nonce.js
+const fs = require('fs');
+const { logger, logAction } = require('./logger');
+
+class NonceManager {
+  constructor(web3Instance) {
+    this.web3 = web3Instance;
+    this.stateFile = './nonce_state.json';
+    this.locks = new Map();
+    this.state = this.loadState();
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+
+        // Reservations held by a previous process can never be committed, free them
+        Object.values(state).forEach(entry => {
+          entry.released = [...new Set([...entry.released, ...Object.keys(entry.reserved).map(Number)])];
+          entry.reserved = {};
+        });
+
+        return state;
+      }
+      return {};
+    } catch (error) {
+      logger.error('Error loading nonce state:', error);
+      return {};
+    }
+  }
+
+  saveState() {
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      logger.error('Error saving nonce state', { error: error.message });
+    }
+  }
+
+  getEntry(address) {
+    const key = address.toLowerCase();
+    if (!this.state[key]) {
+      this.state[key] = { next: 0, reserved: {}, released: [] };
+    }
+    return this.state[key];
+  }
+
+  // Serialize nonce allocation per address
+  async withLock(address, fn) {
+    const key = address.toLowerCase();
+    const previous = this.locks.get(key) || Promise.resolve();
+
+    let unlock;
+    const current = new Promise(resolve => { unlock = resolve; });
+    const chain = previous.then(() => current);
+    this.locks.set(key, chain);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      unlock();
+      if (this.locks.get(key) === chain) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  // Reserve the next usable nonce. The caller must commit() once the tx is broadcast or release() if it never is.
+  async reserve(address) {
+    return this.withLock(address, async () => {
+      const chainPending = await this.web3.eth.getTransactionCount(address, 'pending');
+      const entry = this.getEntry(address);
+
+      // Anything below the chain's pending count is already used
+      entry.released = entry.released.filter(n => n >= chainPending && !(n in entry.reserved));
+      if (entry.next < chainPending) {
+        entry.next = chainPending;
+      }
+
+      let nonce;
+      if (entry.released.length > 0) {
+        // Fill released gaps first so later txs aren't stuck behind them
+        entry.released.sort((a, b) => a - b);
+        nonce = entry.released.shift();
+      } else {
+        nonce = entry.next++;
+      }
+
+      entry.reserved[nonce] = Date.now();
+      this.saveState();
+
+      logAction('nonce_reserved', { address, nonce, chainPending });
+      return this.createReservation(address, nonce);
+    });
+  }
+
+  createReservation(address, nonce) {
+    let settled = false;
+
+    return {
+      nonce,
+      commit: () => {
+        if (settled) return;
+        settled = true;
+        this.commit(address, nonce);
+      },
+      release: () => {
+        if (settled) return;
+        settled = true;
+        this.release(address, nonce);
+      }
+    };
+  }
+
+  // The tx using this nonce reached the mempool
+  commit(address, nonce) {
+    const entry = this.getEntry(address);
+    delete entry.reserved[nonce];
+    this.saveState();
+  }
+
+  // The tx using this nonce was never broadcast, hand the nonce out again
+  release(address, nonce) {
+    const entry = this.getEntry(address);
+    delete entry.reserved[nonce];
+
+    if (nonce === entry.next - 1) {
+      entry.next = nonce;
+    } else if (!entry.released.includes(nonce)) {
+      entry.released.push(nonce);
+    }
+
+    this.saveState();
+    logAction('nonce_released', { address, nonce });
+  }
+
+  // Compare local state with the chain and list nonces that would leave a hole
+  async inspect(address) {
+    const [chainLatest, chainPending] = await Promise.all([
+      this.web3.eth.getTransactionCount(address, 'latest'),
+      this.web3.eth.getTransactionCount(address, 'pending')
+    ]);
+    const entry = this.getEntry(address);
+    const reserved = Object.keys(entry.reserved).map(Number).sort((a, b) => a - b);
+
+    // Nonces handed out locally that the node has never seen and nobody is holding
+    const gaps = [];
+    for (let n = chainPending; n < entry.next; n++) {
+      if (!reserved.includes(n)) gaps.push(n);
+    }
+
+    return {
+      address,
+      chainLatest,
+      chainPending,
+      localNext: entry.next,
+      reserved,
+      released: [...entry.released].sort((a, b) => a - b),
+      gaps
+    };
+  }
+
+  // Resync local state with the chain, keeping nonces that are still reserved
+  async repair(address) {
+    return this.withLock(address, async () => {
+      const chainPending = await this.web3.eth.getTransactionCount(address, 'pending');
+      const entry = this.getEntry(address);
+      const reserved = Object.keys(entry.reserved).map(Number);
+
+      const previous = entry.next;
+      entry.next = Math.max(chainPending, ...reserved.map(n => n + 1));
+      entry.released = [];
+      for (let n = chainPending; n < entry.next; n++) {
+        if (!reserved.includes(n)) entry.released.push(n);
+      }
+      this.saveState();
+
+      logAction('nonce_repaired', { address, previous, next: entry.next, chainPending });
+      return this.inspect(address);
+    });
+  }
+}
+
+module.exports = NonceManager;
@@ -0,0 +1,115 @@
+// revert.js
+const Web3 = require('web3');
+const web3 = new Web3(); // Decoding only, no provider needed
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_CODES = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'corrupted storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+// Find raw revert data on a web3 / JSON-RPC error, wherever the node put it
+function extractRevertData(error) {
+  const candidates = [error && error.data, error && error.data && error.data.data];
+
+  // Some nodes key the data by tx hash: { "0x…": { error, return } }
+  if (error && error.data && typeof error.data === 'object') {
+    Object.values(error.data).forEach(value => {
+      if (value && typeof value === 'object') candidates.push(value.return, value.data);
+    });
+  }
+
+  // Others only embed the JSON-RPC error in the message. Skip web3's "reverted by the EVM"
+  // message, whose embedded receipt has log data that isn't revert data.
+  const message = (error && error.message) || '';
+  const embedded = !/reverted by the EVM/i.test(message) && message.match(/"data"\s*:\s*"(0x[0-9a-fA-F]*)"/);
+  if (embedded) candidates.push(embedded[1]);
+
+  return candidates.find(value => typeof value === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(value)) || null;
+}
+
+// Decode revert data into { kind, reason } using Error(string), Panic(uint256) and the custom errors in `abi`
+function decodeRevertData(data, abi = []) {
+  if (!data || data.length < 10) {
+    return { kind: 'empty', reason: 'reverted without a reason' };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const params = '0x' + data.slice(10);
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const message = web3.eth.abi.decodeParameter('string', params);
+      return { kind: 'error', reason: message, selector };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const code = parseInt(web3.eth.abi.decodeParameter('uint256', params), 10);
+      const description = PANIC_CODES[code] || 'unknown panic';
+      return { kind: 'panic', reason: `Panic(0x${code.toString(16)}): ${description}`, selector, code };
+    }
+
+    const errorAbi = abi.find(item =>
+      item.type === 'error' && web3.eth.abi.encodeFunctionSignature(item).toLowerCase() === selector
+    );
+    if (errorAbi) {
+      const decoded = web3.eth.abi.decodeParameters(errorAbi.inputs, params);
+      const args = errorAbi.inputs.map((input, i) => formatValue(decoded[i]));
+      return { kind: 'custom', reason: `${errorAbi.name}(${args.join(', ')})`, selector, name: errorAbi.name, args };
+    }
+  } catch (error) {
+    // Selector matched but the payload didn't, report it as unknown
+  }
+
+  return { kind: 'unknown', reason: `unknown custom error ${selector}`, selector };
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? `[${value.map(formatValue).join(', ')}]` : String(value);
+}
+
+// Work out why a call or transaction reverted. Returns null if the error isn't a revert
+// (network trouble, nonce or fee problems, timeouts), which callers may retry.
+function decodeRevert(error, abi = []) {
+  const data = extractRevertData(error);
+  if (data) {
+    return { ...decodeRevertData(data, abi), data };
+  }
+
+  const message = (error && error.message) || '';
+  if (error && error.reason && error.signature) {
+    // web3's own RevertInstructionError when handleRevert is on
+    return { kind: 'error', reason: error.reason };
+  }
+
+  const text = message.match(/execution reverted(?::\s*(.+?))?(?:\n|$)/i);
+  if (text) {
+    return text[1]
+      ? { kind: 'error', reason: text[1].trim() }
+      : { kind: 'empty', reason: 'reverted without a reason' };
+  }
+
+  if (/reverted by the EVM/i.test(message)) {
+    return { kind: 'empty', reason: 'reverted without a reason' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  PANIC_CODES,
+  extractRevertData,
+  decodeRevertData,
+  decodeRevert
+};
@@ -0,0 +1,43 @@
+// rotatekey.js
+// Offline master-password rotation. Stop the bot first, run `npm run rotate-key [wallet-file]`,
+// then set MASTER_PASSWORD in .env to the new password before starting it again.
+require('dotenv').config();
+const readline = require('readline');
+const { WalletManager } = require('./wallet');
+
+// Prompt on the terminal without echoing what is typed
+function askHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.includes(question)) process.stdout.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const walletFile = process.argv[2] || './secure_wallets.json';
+
+  // Non-interactive use: CURRENT_MASTER_PASSWORD / NEW_MASTER_PASSWORD
+  const currentPassword = process.env.CURRENT_MASTER_PASSWORD || await askHidden('Current master password: ');
+  const newPassword = process.env.NEW_MASTER_PASSWORD || await askHidden('New master password: ');
+  if (!process.env.NEW_MASTER_PASSWORD && newPassword !== await askHidden('Repeat new master password: ')) {
+    throw new Error('New passwords do not match');
+  }
+
+  const walletManager = new WalletManager(currentPassword, null, walletFile);
+  const count = walletManager.rotatePassword(currentPassword, newPassword);
+
+  console.log(`Re-encrypted ${count} wallet(s)${walletManager.hasMnemonic() ? ' and the HD mnemonic' : ''} in ${walletFile}`);
+  console.log('Update MASTER_PASSWORD in .env before restarting the bot.');
+}
+
+main().catch(error => {
+  console.error(`Key rotation failed: ${error.message}`);
+  process.exit(1);
+});
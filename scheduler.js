@@ -0,0 +1,200 @@
+// scheduler.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger, logAction } = require('./logger');
+
+class MintScheduler {
+  constructor(web3Instance, onTrigger, options = {}) {
+    this.web3 = web3Instance;
+    this.onTrigger = onTrigger;
+    this.scheduleFile = './scheduled_mints.json';
+    this.pollInterval = options.pollInterval || 1000;
+    this.gracePeriod = options.gracePeriod || 300000;
+    this.schedules = this.loadSchedules();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  loadSchedules() {
+    try {
+      if (fs.existsSync(this.scheduleFile)) {
+        return JSON.parse(fs.readFileSync(this.scheduleFile, 'utf8'));
+      }
+      return [];
+    } catch (error) {
+      logger.error('Error loading schedules:', error);
+      return [];
+    }
+  }
+
+  saveSchedules() {
+    fs.writeFileSync(this.scheduleFile, JSON.stringify(this.schedules, null, 2));
+  }
+
+  // Parse a block number or ISO timestamp into a schedule target
+  static parseTarget(input) {
+    const value = input.trim();
+
+    if (/^\d+$/.test(value)) {
+      return { type: 'block', target: parseInt(value, 10) };
+    }
+
+    const timestamp = Date.parse(value);
+    if (isNaN(timestamp)) {
+      throw new Error('Target must be a block number or an ISO timestamp (e.g. 2025-03-01T15:00:00Z)');
+    }
+
+    return { type: 'time', target: timestamp };
+  }
+
+  async addSchedule(targetInput, chatId, contractAddress = null) {
+    const { type, target } = MintScheduler.parseTarget(targetInput);
+
+    if (type === 'time' && target <= Date.now()) {
+      throw new Error('Target time is in the past');
+    }
+
+    if (type === 'block') {
+      const currentBlock = await this.web3.eth.getBlockNumber();
+      if (target <= currentBlock) {
+        throw new Error(`Target block ${target} has already passed (current: ${currentBlock})`);
+      }
+    }
+
+    const schedule = {
+      id: crypto.randomBytes(4).toString('hex'),
+      type,
+      target,
+      contractAddress,
+      chatId,
+      status: 'pending',
+      createdAt: Date.now()
+    };
+
+    this.schedules.push(schedule);
+    this.saveSchedules();
+    this.start();
+
+    logAction('schedule_added', { id: schedule.id, type, target, contractAddress });
+    return schedule;
+  }
+
+  removeSchedule(id) {
+    const schedule = this.schedules.find(s => s.id === id && s.status === 'pending');
+    if (!schedule) return false;
+
+    schedule.status = 'cancelled';
+    this.saveSchedules();
+
+    logAction('schedule_removed', { id });
+    return true;
+  }
+
+  getPendingSchedules() {
+    return this.schedules.filter(s => s.status === 'pending');
+  }
+
+  // Estimate the average block time from the last `sampleSize` blocks
+  async estimateBlockTime(sampleSize = 100) {
+    try {
+      const latest = await this.web3.eth.getBlock('latest');
+      const earlier = await this.web3.eth.getBlock(Math.max(latest.number - sampleSize, 0));
+      const blocks = latest.number - earlier.number;
+      if (blocks <= 0) return null;
+      return ((latest.timestamp - earlier.timestamp) * 1000) / blocks;
+    } catch (error) {
+      logger.warn('Could not estimate block time', { error: error.message });
+      return null;
+    }
+  }
+
+  // Milliseconds until the schedule fires (estimated for block targets)
+  async getTimeRemaining(schedule) {
+    if (schedule.type === 'time') {
+      return { ms: schedule.target - Date.now(), estimated: false };
+    }
+
+    const currentBlock = await this.web3.eth.getBlockNumber();
+    const blocksRemaining = schedule.target - currentBlock;
+    const blockTime = await this.estimateBlockTime();
+
+    return {
+      ms: blockTime ? blocksRemaining * blockTime : null,
+      blocksRemaining,
+      estimated: true
+    };
+  }
+
+  start() {
+    if (this.timer || this.getPendingSchedules().length === 0) return;
+
+    this.expireMissedSchedules();
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    logger.info('Mint scheduler started', { pending: this.getPendingSchedules().length });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Time schedules that passed while the bot was down are only fired within the grace period
+  expireMissedSchedules() {
+    const now = Date.now();
+    const missed = this.getPendingSchedules().filter(schedule =>
+      schedule.type === 'time' && now - schedule.target > this.gracePeriod
+    );
+
+    missed.forEach(schedule => {
+      schedule.status = 'missed';
+      logAction('schedule_missed', { id: schedule.id, target: schedule.target });
+    });
+
+    if (missed.length > 0) this.saveSchedules();
+    return missed;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const pending = this.getPendingSchedules();
+      if (pending.length === 0) {
+        this.stop();
+        return;
+      }
+
+      const now = Date.now();
+      const hasBlockSchedules = pending.some(s => s.type === 'block');
+      const currentBlock = hasBlockSchedules ? await this.web3.eth.getBlockNumber() : null;
+
+      const due = pending.filter(s =>
+        (s.type === 'time' && s.target <= now) ||
+        (s.type === 'block' && currentBlock >= s.target)
+      );
+
+      for (const schedule of due) {
+        schedule.status = 'fired';
+        schedule.firedAt = now;
+        schedule.firedAtBlock = currentBlock;
+        this.saveSchedules();
+
+        logAction('schedule_fired', { id: schedule.id, type: schedule.type, target: schedule.target });
+
+        // Don't block the scheduler loop on the batch itself
+        Promise.resolve(this.onTrigger(schedule)).catch(error => {
+          logger.error('Scheduled mint failed', { id: schedule.id, error: error.message });
+        });
+      }
+    } catch (error) {
+      logger.error('Scheduler tick error', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+module.exports = MintScheduler;
@@ -0,0 +1,128 @@
+// selectors.js
+const Web3 = require('web3');
+const web3 = new Web3(); // Hashing only, no provider needed
+
+// Common NFT drop functions by what they do. Matched against the selectors found in bytecode.
+const SIGNATURES = {
+  mint: [
+    'mint()', 'mint(uint256)', 'mint(address,uint256)', 'mint(uint256,bytes32[])',
+    'publicMint()', 'publicMint(uint256)', 'mintPublic(uint256)', 'publicSaleMint(uint256)',
+    'allowlistMint(uint256,bytes32[])', 'whitelistMint(uint256,bytes32[])', 'presaleMint(uint256,bytes32[])',
+    'freeMint()', 'freeMint(uint256)', 'mintToken(uint256)', 'buyToken(uint256)',
+    'claim(uint256)', 'purchase(uint256)',
+    'mintTo(address)', 'mintTo(address,uint256)', 'safeMint(address)', 'safeMint(address,uint256)'
+  ],
+  price: [
+    'mintPrice()', 'price()', 'MINT_PRICE()', 'PRICE()', 'cost()', 'mintCost()',
+    'publicPrice()', 'publicSalePrice()', 'salePrice()', 'getPrice()'
+  ],
+  supply: ['totalSupply()', 'totalMinted()', '_totalMinted()', 'supply()', 'tokenCount()', 'currentTokenId()'],
+  maxSupply: ['MAX_SUPPLY()', 'maxSupply()', 'MAX_TOKENS()', 'maxTokens()', 'cap()', 'collectionSize()'],
+  pause: [
+    'paused()', 'saleActive()', 'isSaleActive()', 'publicSaleActive()', 'isPublicSaleActive()',
+    'mintActive()', 'saleIsActive()', 'mintEnabled()', 'saleState()'
+  ],
+  maxPerWallet: [
+    'maxPerWallet()', 'MAX_PER_WALLET()', 'maxMintPerWallet()', 'maxPerAddress()',
+    'MAX_MINT_PER_WALLET()', 'maxMintAmountPerTx()', 'MAX_PER_TX()', 'maxPerTx()', 'walletLimit()'
+  ]
+};
+
+// selector -> { signature, category }
+const DICTIONARY = new Map();
+Object.entries(SIGNATURES).forEach(([category, signatures]) => {
+  signatures.forEach(signature => {
+    DICTIONARY.set(web3.eth.abi.encodeFunctionSignature(signature), { signature, category });
+  });
+});
+
+// EIP-1967 storage slots, keccak256('eip1967.proxy.implementation') - 1 and the beacon equivalent
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+
+// EIP-1167 minimal proxy: 363d3d373d3d3d363d73<implementation>5af43d82803e903d91602b57fd5bf3
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+
+// Every 4-byte PUSH4 operand in the bytecode, skipping over other push data so it isn't read as code.
+// The dispatcher compares calldata against these, so they are a superset of the function selectors.
+// solc pushes selectors with leading zero bytes using PUSH1-PUSH3; those operands are too common
+// to keep them all, so they count only when they pad out to a selector in the dictionary.
+function extractSelectors(bytecode) {
+  const code = Buffer.from(bytecode.replace(/^0x/, ''), 'hex');
+  const selectors = new Set();
+
+  for (let i = 0; i < code.length; i++) {
+    const opcode = code[i];
+    if (opcode === PUSH4 && i + 4 < code.length) {
+      selectors.add('0x' + code.slice(i + 1, i + 5).toString('hex'));
+    } else if (opcode >= PUSH1 && opcode < PUSH4 && i + opcode - PUSH1 + 1 < code.length) {
+      const padded = '0x' + code.slice(i + 1, i + opcode - PUSH1 + 2).toString('hex').padStart(8, '0');
+      if (DICTIONARY.has(padded)) selectors.add(padded);
+    }
+    if (opcode >= PUSH1 && opcode <= PUSH32) {
+      i += opcode - PUSH1 + 1;
+    }
+  }
+
+  return [...selectors];
+}
+
+// Known functions among `selectors`, grouped by category
+function matchSelectors(selectors) {
+  const found = {};
+  Object.keys(SIGNATURES).forEach(category => { found[category] = []; });
+
+  selectors.forEach(selector => {
+    const match = DICTIONARY.get(selector);
+    if (match) found[match.category].push(match.signature);
+  });
+
+  return found;
+}
+
+function slotToAddress(value) {
+  if (!value || /^0x0*$/.test(value)) return null;
+  return web3.utils.toChecksumAddress('0x' + value.replace(/^0x/, '').padStart(64, '0').slice(-40));
+}
+
+// Where the logic behind `address` lives: { type, implementation } for an EIP-1967 (direct or beacon)
+// or EIP-1167 proxy, null for anything else
+async function resolveProxy(web3Instance, address, code) {
+  const clone = code.match(MINIMAL_PROXY);
+  if (clone) {
+    return { type: 'EIP-1167', implementation: web3Instance.utils.toChecksumAddress('0x' + clone[1]) };
+  }
+
+  const implementation = slotToAddress(await web3Instance.eth.getStorageAt(address, EIP1967_IMPLEMENTATION_SLOT));
+  if (implementation) {
+    return { type: 'EIP-1967', implementation };
+  }
+
+  const beacon = slotToAddress(await web3Instance.eth.getStorageAt(address, EIP1967_BEACON_SLOT));
+  if (beacon) {
+    // A broken beacon still tells us it's a proxy, just not where the logic is
+    let implementationAddress = null;
+    try {
+      implementationAddress = slotToAddress(await web3Instance.eth.call({
+        to: beacon,
+        data: web3.eth.abi.encodeFunctionSignature('implementation()')
+      }));
+    } catch (error) {
+      // Reverted or not a beacon
+    }
+    return { type: 'EIP-1967 beacon', beacon, implementation: implementationAddress };
+  }
+
+  return null;
+}
+
+module.exports = {
+  SIGNATURES,
+  extractSelectors,
+  matchSelectors,
+  resolveProxy
+};
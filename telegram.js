@@ -1,21 +1,407 @@
 // telegram.js
+const Web3 = require('web3');
+
 class TelegramFormatter {
   static code(text) {
     return `\`${text}\``;
   }
   
-  static transactionSuccess(txHash, address) {
+  static transactionSuccess(txHash, address, mintedTokens = []) {
     return `✅ *Mint Successful!*\n` +
            `From: ${this.code(address.substring(0, 10) + '...')}\n` +
+           (mintedTokens.length > 0 ? `Minted: ${this.tokenList(mintedTokens)}\n` : '') +
            `[View Transaction](https://testnet.monadexplorer.com/tx/${txHash})`;
   }
   
+  static tokenList(tokens) {
+    return tokens.map(t => 
+      t.amount && t.amount !== '1' ? `#${t.tokenId} ×${t.amount}` : `#${t.tokenId}`
+    ).join(', ');
+  }
+  
   static transactionFailed(error, address) {
     return `❌ *Mint Failed*\n` +
            `From: ${this.code(address.substring(0, 10) + '...')}\n` +
            `Error: ${error.substring(0, 100)}`;
   }
   
+  static transactionStuck(hash, address) {
+    return `⏳ *Mint Not Confirmed*\n` +
+           `From: ${this.code(address.substring(0, 10) + '...')}\n` +
+           `Hash: ${this.code(hash)}\n\n` +
+           `It was sent but not mined in time and may still land, so it was not retried. ` +
+           `Use /speedup or /cancel with the hash, or /reconcile to check on it.`;
+  }
+  
+  static feeQuotes(quotes, current) {
+    const gwei = value => Number(Web3.utils.fromWei(value, 'gwei')).toFixed(3);
+    let message = `⛽ *Fee Strategies* (current: ${current})\n\n`;
+    
+    quotes.forEach(fees => {
+      const marker = fees.strategy === current ? ' ✅' : '';
+      if (fees.type === 2) {
+        message += `*${fees.strategy}*${marker}\n` +
+                   `Max fee: ${this.code(gwei(fees.maxFeePerGas) + ' gwei')}\n` +
+                   `Priority: ${this.code(gwei(fees.maxPriorityFeePerGas) + ' gwei')}\n\n`;
+      } else {
+        message += `*${fees.strategy}*${marker}\n` +
+                   `Gas price (legacy): ${this.code(gwei(fees.gasPrice) + ' gwei')}\n\n`;
+      }
+    });
+    
+    return message + 'Use /gas <strategy> to change the default.';
+  }
+  
+  static batchSummary(results, skipped = [], title = 'Batch Mint Complete') {
+    const successful = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+    const emoji = failed.length === 0 ? '🎉' : '⚠️';
+    
+    let message = `${emoji} *${title}*\n` +
+                  `✅ Successful: ${successful.length}\n` +
+                  `❌ Failed: ${failed.length}\n` +
+                  `⏭ Skipped: ${skipped.length}\n`;
+    
+    if (failed.length > 0) {
+      message += `\n*Failures:*\n`;
+      failed.forEach(r => {
+        message += `- ${this.code(r.item.address.substring(0, 10) + '...')} ${this.escapeMarkdown(r.reason.message.substring(0, 80))}\n`;
+      });
+    }
+    
+    if (skipped.length > 0) {
+      message += `\n*Skipped:*\n`;
+      skipped.forEach(s => {
+        message += `- ${this.code(s.address.substring(0, 10) + '...')} ${this.escapeMarkdown(s.reason)}\n`;
+      });
+    }
+    
+    return message;
+  }
+  
+  static reconcileSummary(result, explorerUrl) {
+    if (result.checked === 0) {
+      return '🔄 *Reconciliation*\nNo pending transactions to check';
+    }
+    
+    let message = `🔄 *Reconciliation*\n` +
+                  `Checked: ${result.checked}, updated: ${result.changes.length}, still pending: ${result.stillPending}\n\n`;
+    
+    result.changes.forEach(change => {
+      const block = change.blockNumber ? ` (block ${change.blockNumber})` : '';
+      message += `${this.statusEmoji(change.status)} [${change.hash.substring(0, 10)}...](${explorerUrl}${change.hash}) ` +
+                 `${change.previous} → *${change.status}*${block}\n`;
+    });
+    
+    return message;
+  }
+  
+  static fundingPreview(plan, confirmTimeout) {
+    const mon = value => Web3.utils.fromWei(value, 'ether');
+    let message = `💸 *Funding Preview*\n` +
+                  `From: ${this.code(plan.funder)} (${mon(plan.funderBalance)} MON)\n` +
+                  (plan.group ? `Group: ${this.escapeMarkdown(plan.group)}\n` : '') +
+                  (plan.mode === 'target' 
+                    ? `Top up to: ${plan.amount} MON\n` 
+                    : `Send: ${plan.amount} MON each\n`) +
+                  `\n`;
+    
+    plan.transfers.forEach(t => {
+      message += `${this.code(t.address.substring(0, 10) + '...')} ${mon(t.balance)} → +${mon(t.value)} MON\n`;
+    });
+    
+    if (plan.skipped > 0) {
+      message += `⏭ ${plan.skipped} already at or above target\n`;
+    }
+    
+    message += `\nValue: ${mon(plan.totalValue)} MON\n` +
+               `Max fees: ${mon(plan.totalFees)} MON\n` +
+               `*Total: ${mon(plan.totalCost)} MON*\n\n` +
+               `Send /fund confirm within ${this.duration(confirmTimeout)} to proceed, or /fund cancel.`;
+    
+    return message;
+  }
+  
+  static sweepPreview(plan, confirmTimeout) {
+    const mon = value => Web3.utils.fromWei(value, 'ether');
+    let message = `🧹 *Sweep Preview*\n` +
+                  `To: ${this.code(plan.vault)}\n` +
+                  (plan.group ? `Group: ${this.escapeMarkdown(plan.group)}\n` : '') +
+                  `Keep: ${plan.keep} MON each\n\n`;
+    
+    plan.transfers.forEach(t => {
+      message += `${this.code(t.address.substring(0, 10) + '...')} ${mon(t.balance)} → -${mon(t.value)} MON\n`;
+    });
+    
+    if (plan.skipped.length > 0) {
+      message += `⏭ ${plan.skipped.length} at or below keep + gas\n`;
+    }
+    
+    message += `\n*Total: ${mon(plan.totalValue)} MON*\n` +
+               `Max fees: ${mon(plan.totalFees)} MON (paid by the swept wallets)\n\n` +
+               `Send /sweep confirm within ${this.duration(confirmTimeout)} to proceed, or /sweep cancel.`;
+    
+    return message;
+  }
+  
+  static sweepReport(results, skipped, vault) {
+    const mon = value => Web3.utils.fromWei(value, 'ether');
+    const swept = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+    const total = swept.reduce((sum, r) => sum.add(Web3.utils.toBN(r.item.value)), Web3.utils.toBN(0));
+    
+    let message = `${failed.length === 0 ? '🧹' : '⚠️'} *Sweep Complete*\n` +
+                  `To: ${this.code(vault)}\n\n`;
+    
+    swept.forEach(r => {
+      message += `✅ ${this.code(r.item.address.substring(0, 10) + '...')} ${mon(r.item.value)} MON\n`;
+    });
+    failed.forEach(r => {
+      message += `❌ ${this.code(r.item.address.substring(0, 10) + '...')} ${this.escapeMarkdown(r.reason.message.substring(0, 80))}\n`;
+    });
+    skipped.forEach(s => {
+      message += `⏭ ${this.code(s.address.substring(0, 10) + '...')} ${this.escapeMarkdown(s.reason)}\n`;
+    });
+    
+    message += `\n*Total swept: ${mon(total.toString())} MON* from ${swept.length} wallets`;
+    return message;
+  }
+  
+  static collectReport(results, vault, standard) {
+    const moved = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+    const token = h => `#${h.tokenId}${h.standard === 'ERC1155' ? ` ×${h.amount}` : ''}`;
+    
+    let message = `${failed.length === 0 ? '📦' : '⚠️'} *Collect Complete* (${standard})\n` +
+                  `To: ${this.code(vault)}\n` +
+                  `✅ Moved: ${moved.length}\n` +
+                  `❌ Failed: ${failed.length}\n\n`;
+    
+    moved.forEach(r => {
+      message += `✅ ${token(r.holding)} from ${this.code(r.holding.wallet.substring(0, 10) + '...')}\n`;
+    });
+    failed.forEach(r => {
+      message += `❌ ${token(r.holding)} from ${this.code(r.holding.wallet.substring(0, 10) + '...')} ` +
+                 `${this.escapeMarkdown(r.reason.message.substring(0, 80))}\n`;
+    });
+    
+    return message;
+  }
+  
+  static groupList(groups) {
+    const names = Object.keys(groups).sort();
+    if (names.length === 0) {
+      return '🏷 No groups yet. Use /group add <group> <address...>';
+    }
+    
+    let message = `🏷 *Wallet Groups*\n\n`;
+    names.forEach(name => {
+      const active = groups[name].filter(w => w.active).length;
+      message += `*${this.escapeMarkdown(name)}*: ${groups[name].length} wallets (${active} active)\n`;
+    });
+    
+    return message + `\nUse /group list <group> to see members.`;
+  }
+  
+  static abiSummary(address, summary) {
+    let message = `📄 *Contract ABI* ${this.code(address.substring(0, 10) + '...')}\n` +
+                  `${summary.imported ? 'Imported' : 'Built-in default (use /setabi to import the full ABI)'}\n` +
+                  `Functions: ${summary.functions} | Events: ${summary.events} | Errors: ${summary.errors}\n`;
+    
+    if (summary.mintCandidates.length > 0) {
+      message += `\n*Mint functions:*\n` + 
+                 summary.mintCandidates.map(sig => `- ${this.code(sig)}`).join('\n') + '\n';
+    }
+    
+    if (summary.mintError) {
+      message += `\n⚠️ ${this.escapeMarkdown(summary.mintError)}. Use /setmethods to pick the mint function.\n`;
+    }
+    
+    return message;
+  }
+  
+  static inspectionReport(address, result) {
+    const labels = {
+      mint: 'Mint', price: 'Price', supply: 'Supply', maxSupply: 'Max supply', 
+      pause: 'Sale state', maxPerWallet: 'Per-wallet limit'
+    };
+    
+    let message = `📋 *Contract Inspection* ${this.code(address.substring(0, 10) + '...')}\n`;
+    if (result.proxy) {
+      message += `Proxy: ${result.proxy.type} → ${this.code(result.proxy.implementation || 'unknown')}\n`;
+    }
+    message += `Selectors in bytecode: ${result.selectorCount}\n\n`;
+    
+    const categories = Object.keys(labels).filter(category => result.found[category].length > 0);
+    if (categories.length === 0) {
+      return message + '❌ No known mint, price or supply functions found. Import the ABI with /setabi or set methods manually with /setmethods.';
+    }
+    
+    categories.forEach(category => {
+      message += `*${labels[category]}:* ${result.found[category].map(sig => this.code(sig)).join(', ')}\n`;
+    });
+    
+    // Placeholders for the argument types a mint usually takes
+    const placeholders = { 'uint256': '{qty}', 'address': '{wallet}', 'bytes32[]': '{proof}' };
+    const pick = (category, fallback) => (result.inAbi[category][0] || fallback).split('(')[0];
+    if (result.inAbi.mint.length > 0) {
+      const mint = result.inAbi.mint[0];
+      const args = mint.slice(mint.indexOf('(') + 1, -1).split(',').filter(Boolean).map(type => placeholders[type] || type);
+      message += `\nSuggested: ${this.code(`/setmethods ${pick('mint')},${pick('supply', 'totalSupply()')},${pick('maxSupply', 'MAX_SUPPLY()')} ${args.join(' ')}`.trim())}`;
+    } else if (result.found.mint.length > 0) {
+      message += `\n⚠️ The contract's ABI doesn't include these mint functions, so /setmethods can't use them yet. ` +
+                 `Import the full ABI with /setabi first, or add the detected signatures to the ABI.`;
+    }
+    
+    return message;
+  }
+  
+  static importReport(results) {
+    const count = status => results.filter(r => r.status === status).length;
+    let message = `📥 *Wallet Import*\n` +
+                  `Added: ${count('added')} | Duplicate: ${count('duplicate')} | Invalid: ${count('invalid')}\n\n`;
+    
+    results.forEach(r => {
+      const icon = r.status === 'added' ? '✅' : r.status === 'duplicate' ? '⏭' : '❌';
+      message += `${icon} ${this.escapeMarkdown(r.source)}: ` +
+                 (r.address ? this.code(r.address.substring(0, 10) + '...') : this.escapeMarkdown(r.reason)) + '\n';
+    });
+    
+    return message;
+  }
+  
+  static balanceDashboard(balances, mintCost, threshold) {
+    const { toBN, fromWei } = Web3.utils;
+    const mon = value => Number(fromWei(value, 'ether')).toFixed(4);
+    // Watch-only wallets aren't ours to spend, keep them out of the total
+    const owned = balances.filter(w => !w.watchOnly);
+    const total = owned.reduce((sum, w) => sum.add(toBN(w.balance)), toBN(0));
+    
+    let message = `💰 *Wallet Balances*\n` +
+                  (mintCost === null ? `Mint cost unavailable right now\n\n` : `One mint costs up to ${mon(mintCost)} MON\n\n`);
+    
+    balances.forEach((wallet, index) => {
+      const low = threshold !== '0' && toBN(wallet.balance).lt(toBN(threshold));
+      let mintStatus = null;
+      if (wallet.watchOnly) {
+        mintStatus = '👁 watch-only';
+      } else if (mintCost !== null) {
+        mintStatus = toBN(wallet.balance).gte(toBN(mintCost)) ? '✅ can mint' : '❌ can\'t afford a mint';
+      }
+      message += `*${index + 1}. ${wallet.label || 'Wallet'}*${wallet.active ? '' : ' (inactive)'}\n` +
+                 `${this.code(wallet.address.substring(0, 10) + '...')} ${mon(wallet.balance)} MON${low && !wallet.watchOnly ? ' ⚠️ low' : ''}\n` +
+                 `NFTs: ${wallet.nfts === null ? '-' : wallet.nfts}${mintStatus ? ` | ${mintStatus}` : ''}\n\n`;
+    });
+    
+    message += `*Total: ${mon(total.toString())} MON* across ${owned.length} wallets` +
+               (owned.length < balances.length ? ` (${balances.length - owned.length} watch-only not counted)` : '');
+    return message;
+  }
+  
+  static lowBalanceAlert(wallets, threshold) {
+    const mon = value => Number(Web3.utils.fromWei(value, 'ether')).toFixed(4);
+    return `⚠️ *Low Balance*\n` +
+           `${wallets.length} active wallet(s) under ${mon(threshold)} MON:\n` +
+           wallets.map(w => `${this.code(w.address.substring(0, 10) + '...')} ${mon(w.balance)} MON`).join('\n') +
+           `\n\nUse /fund to top them up.`;
+  }
+  
+  static budgetReport(usage) {
+    const mon = value => Web3.utils.fromWei(value, 'ether');
+    const dailyCap = usage.caps.find(cap => cap.name === 'walletDaily').limit;
+    let message = `💰 *Spending Budgets* (${usage.day} UTC)\n\n`;
+    
+    usage.caps.forEach(cap => {
+      message += `${cap.description} (${this.code(cap.name)}): ${cap.limit === '0' ? 'no cap' : `${mon(cap.limit)} MON`}\n`;
+    });
+    
+    message += `\n*Spent today:*\n`;
+    if (usage.wallets.length === 0) {
+      message += `No active wallets\n`;
+    }
+    usage.wallets.forEach(wallet => {
+      message += `${this.code(wallet.address.substring(0, 10) + '...')} ${mon(wallet.spent)} MON` +
+                 `${dailyCap !== '0' ? ` / ${mon(dailyCap)}` : ''}\n`;
+    });
+    
+    if (usage.batches.length > 0) {
+      const batchCap = usage.caps.find(cap => cap.name === 'batchTotal').limit;
+      message += `\n*Running batches:*\n`;
+      usage.batches.forEach(batch => {
+        message += `${this.code(batch.id)} ${mon(batch.spent)} MON${batchCap !== '0' ? ` / ${mon(batchCap)}` : ''}\n`;
+      });
+    }
+    
+    return message;
+  }
+  
+  static nonceReport(states, repaired = false) {
+    let message = `🔢 *Nonce State${repaired ? ' (repaired)' : ''}*\n\n`;
+    
+    states.forEach(state => {
+      message += `${this.code(state.address.substring(0, 10) + '...')}\n`;
+      
+      if (state.error) {
+        message += `Error: ${this.escapeMarkdown(state.error.substring(0, 80))}\n\n`;
+        return;
+      }
+      
+      message += `Chain: latest ${state.chainLatest}, pending ${state.chainPending}\n` +
+                 `Local next: ${state.localNext}\n`;
+      if (state.reserved.length > 0) message += `Reserved: ${state.reserved.join(', ')}\n`;
+      if (state.released.length > 0) message += `Released: ${state.released.join(', ')}\n`;
+      message += state.gaps.length > 0 
+        ? `⚠️ Gaps: ${state.gaps.join(', ')}\n\n` 
+        : `✅ No gaps\n\n`;
+    });
+    
+    if (!repaired && states.some(s => s.gaps && s.gaps.length > 0)) {
+      message += 'Use /nonces repair to resync with the chain.';
+    }
+    
+    return message;
+  }
+  
+  static dryRunReport(results) {
+    const passed = results.filter(r => r.success).length;
+    
+    let table = 'Wallet        Result  Gas       Cost (MON)\n';
+    let totalCost = Web3.utils.toBN(0);
+    
+    results.forEach(result => {
+      const wallet = `${result.address.substring(0, 6)}…${result.address.slice(-4)}`;
+      
+      if (result.success) {
+        const cost = Web3.utils.toBN(result.gasEstimate).mul(Web3.utils.toBN(result.gasPrice))
+          .add(Web3.utils.toBN(result.value));
+        totalCost = totalCost.add(cost);
+        table += `${wallet.padEnd(14)}PASS    ${String(result.gasEstimate).padEnd(10)}${Web3.utils.fromWei(cost, 'ether')}\n`;
+      } else {
+        table += `${wallet.padEnd(14)}FAIL    ${result.error.substring(0, 60)}\n`;
+      }
+    });
+    
+    return `🧪 *Dry Run Results*\n` +
+           `Passed: ${passed}/${results.length}\n` +
+           `Estimated total: ${this.code(Web3.utils.fromWei(totalCost, 'ether') + ' MON')}\n\n` +
+           '```\n' + table.replace(/```/g, '') + '```';
+  }
+  
+  static statusEmoji(status) {
+    return status === 'confirmed' ? '✅' : 
+           status === 'pending' ? '⏳' : 
+           status === 'replaced' ? '🔁' : 
+           status === 'dropped' ? '🗑' : '❌';
+  }
+  
+  // Indented speed-up/cancel attempts under the original history entry
+  static replacementLines(replacements, explorerUrl) {
+    return replacements.map(tx => 
+      `  ↳ ${tx.kind} ${this.statusEmoji(tx.status)} ${tx.status}: ` +
+      `[${tx.hash.substring(0, 10)}...](${explorerUrl}${tx.hash})\n`
+    ).join('');
+  }
+  
   static supplyStatus(total, max, contractAddress) {
     const percentage = (total / max * 100).toFixed(2);
     return `📊 *NFT Supply Status*\n` +
@@ -39,7 +425,9 @@ class TelegramFormatter {
       
       message += `*${index + 1}. ${wallet.label || 'Wallet'}*\n` +
                  `Address: ${this.code(wallet.address)}\n` +
-                 `Status: ${wallet.active ? '✅ Active' : '❌ Inactive'}\n` +
+                 (wallet.derivationPath ? `Path: ${this.code(wallet.derivationPath)}\n` : '') +
+                 (wallet.groups && wallet.groups.length > 0 ? `Groups: ${this.escapeMarkdown(wallet.groups.join(', '))}\n` : '') +
+                 `Status: ${wallet.watchOnly ? '👁 Watch-only' : wallet.active ? '✅ Active' : '❌ Inactive'}\n` +
                  `Last Used: ${lastUsed}\n\n`;
     });
     
@@ -63,28 +451,115 @@ class TelegramFormatter {
     return message;
   }
   
+  static duration(ms) {
+    if (ms === null || ms === undefined) return 'unknown';
+    const totalSeconds = Math.max(Math.round(ms / 1000), 0);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+  
+  static scheduleTarget(schedule) {
+    return schedule.type === 'block'
+      ? `block ${schedule.target}`
+      : new Date(schedule.target).toISOString();
+  }
+  
+  static scheduleCreated(schedule, remaining) {
+    let countdown = `${remaining.estimated ? '~' : ''}${this.duration(remaining.ms)}`;
+    if (remaining.blocksRemaining !== undefined) {
+      countdown += ` (${remaining.blocksRemaining} blocks)`;
+    }
+    
+    return `⏰ *Mint Scheduled*\n` +
+           `ID: ${this.code(schedule.id)}\n` +
+           `Target: ${this.code(this.scheduleTarget(schedule))}\n` +
+           `Contract: ${this.code(schedule.contractAddress || 'active contract')}\n` +
+           `Fires in: ${countdown}\n\n` +
+           `Use /unschedule ${schedule.id} to cancel.`;
+  }
+  
+  static scheduleList(schedules) {
+    if (schedules.length === 0) {
+      return '⏰ No pending schedules';
+    }
+    
+    let message = `⏰ *Scheduled Mints* (${schedules.length} pending)\n\n`;
+    
+    schedules.forEach((schedule, index) => {
+      message += `*${index + 1}. ${schedule.id}*\n` +
+                 `Target: ${this.code(this.scheduleTarget(schedule))}\n` +
+                 `Contract: ${this.code(schedule.contractAddress || 'active contract')}\n\n`;
+    });
+    
+    return message;
+  }
+  
   static helpText() {
     return `🤖 *MONAD Mint Bot*\n\n` +
            `*Available Commands:*\n\n` +
            `*Minting Commands:*\n` +
            `/mint - Start minting with all active wallets\n` +
-           `/status - Check NFT contract supply status\n\n` +
+           `/mint dryrun - Simulate the batch and show per-wallet gas and cost\n` +
+           `/mint \`[strategy]\` \`[group]\` - Mint with a specific fee strategy and/or only one group\n` +
+           `/gas \`[strategy]\` - Show fee quotes or set eco|normal|aggressive|fixed\n` +
+           `/batch \`[concurrency]\` \`[delayMs]\` - Show or set batch concurrency and stagger\n` +
+           `/balances \`[group]\` - Show MON and NFT balances per wallet and who can afford a mint\n` +
+           `/balancealert \`[MON]\` - Show or set the low-balance alert threshold (0 disables)\n` +
+           `/budget - Show spending caps and how much of each is used\n` +
+           `/setfunder \`[address]\` - Show or set the wallet /fund sends from\n` +
+           `/fund \`<target>\` \`[group]\` - Top up active wallets below a MON balance (preview, then /fund confirm)\n` +
+           `/fund +\`<amount>\` \`[group]\` - Send a fixed MON amount to every active wallet\n` +
+           `/sweep \`<vault>\` \`[keep]\` \`[group]\` - Send each wallet's MON, minus keep and gas, to a vault (preview, then /sweep confirm)\n` +
+           `/collect \`<contract>\` \`<vault>\` - Transfer every NFT held on a contract to a vault\n` +
+           `/budget set \`<cap>\` \`<MON>\` - Set mintValue|txFee|walletDaily|batchTotal (0 disables)\n` +
+           `/speedup \`<hash|wallet>\` - Re-send a stuck mint with higher fees\n` +
+           `/cancel \`<hash|wallet>\` - Cancel a stuck mint with a 0-value self-transfer\n` +
+           `/nonces \`[repair]\` - Show nonce state per wallet or resync it with the chain\n` +
+           `/status - Check NFT contract supply status\n` +
+           `/arm - Auto-mint as soon as the active contract opens\n` +
+           `/disarm - Stop watching for the sale to open\n\n` +
+           
+           `*Scheduling:*\n` +
+           `/schedule \`<block|ISO time>\` \`[contract]\` - Schedule a batch mint\n` +
+           `/schedules - List pending scheduled mints\n` +
+           `/unschedule \`<id>\` - Cancel a scheduled mint\n\n` +
            
            `*Contract Management:*\n` +
            `/contadd \`<address>\` \`[label]\` - Add a new contract address\n` +
            `/contuse \`<address>\` - Switch to a different contract\n` +
            `/contrem \`<address>\` - Remove a contract address\n` +
-           `/contracts - List all saved contracts\n\n` +
+           `/contracts - List all saved contracts\n` +
+           `/setmethods \`<mint,totalSupply,maxSupply>\` \`[args]\` - Set methods and mint arguments ({wallet}, {qty}, {proof})\n` +
+           `/inspectcontract \`[contract]\` - Detect mint, price, supply and limit functions from bytecode\n` +
+           `/setabi \`[contract]\` \`<json|reset>\` - Import a contract's full ABI, or upload the file with /setabi as the caption\n` +
+           `/setqty \`<n>\` - Set the {qty} value per wallet\n` +
+           `/proofs - Show allowlist proofs (upload a JSON file with caption /proofs to set)\n` +
+           `/clearproofs - Remove allowlist proofs from the active contract\n\n` +
            
            `*Wallet Management:*\n` +
-           `/addwallet \`<private_key>\` - Add a new wallet\n` +
+           `/addwallet \`<private_key>\` - Add a new wallet (private chat only, the message is deleted)\n` +
+           `/watch \`[address]\` \`[label]\` - Watch an address without its key, or list watched wallets\n` +
+           `/genwallets \`<count>\` \`[label-prefix]\` - Derive wallets from the stored mnemonic\n` +
+           `/genwallets import \`<mnemonic>\` - Import a BIP-39 mnemonic to derive from\n` +
+           `/rotatekey \`<current>\` \`<new>\` - Re-encrypt the wallet store under a new master password\n` +
+           `/exportwallets \`<password>\` - Download every wallet as a keystore V3 archive\n` +
+           `/importwallets \`[password]\` - Caption on an uploaded archive or CSV (key,label,groups,active)\n` +
+           `/addwallet - Caption on an uploaded text/CSV file of keys, one per line\n` +
            `/wallets - List all configured wallets\n` +
            `/togglewallet \`<address>\` - Enable/disable a wallet\n` +
+           `/group add|remove \`<group>\` \`<address...>\` - Put wallets in or take them out of a group\n` +
+           `/group list \`[group]\` - List groups, or the wallets in one\n` +
            `/removewallet \`<address>\` - Remove a wallet\n\n` +
            
            `*History:*\n` +
-           `/history \`[count]\` - Show recent transaction history\n` +
-           `/wallethistory \`<address>\` - Show history for a specific wallet`;
+           `/history \`[count]\` \`[contract]\` \`[#tokenId]\` \`[mint|fund|sweep|collect]\` - Show recent transaction history\n` +
+           `/wallethistory \`<address>\` - Show history for a specific wallet\n` +
+           `/reconcile - Re-check pending transactions against the chain`;
   }
   
   static plainHelpText() {
@@ -92,23 +567,62 @@ class TelegramFormatter {
            `Available Commands:\n\n` +
            `Minting Commands:\n` +
            `/mint - Start minting with all active wallets\n` +
-           `/status - Check NFT contract supply status\n\n` +
+           `/mint dryrun - Simulate the batch and show per-wallet gas and cost\n` +
+           `/mint [strategy] [group] - Mint with a specific fee strategy and/or only one group\n` +
+           `/gas [strategy] - Show fee quotes or set eco|normal|aggressive|fixed\n` +
+           `/batch [concurrency] [delayMs] - Show or set batch concurrency and stagger\n` +
+           `/balances [group] - Show MON and NFT balances per wallet and who can afford a mint\n` +
+           `/balancealert [MON] - Show or set the low-balance alert threshold (0 disables)\n` +
+           `/budget - Show spending caps and how much of each is used\n` +
+           `/setfunder [address] - Show or set the wallet /fund sends from\n` +
+           `/fund <target> [group] - Top up active wallets below a MON balance (preview, then /fund confirm)\n` +
+           `/fund +<amount> [group] - Send a fixed MON amount to every active wallet\n` +
+           `/sweep <vault> [keep] [group] - Send each wallet's MON, minus keep and gas, to a vault (preview, then /sweep confirm)\n` +
+           `/collect <contract> <vault> - Transfer every NFT held on a contract to a vault\n` +
+           `/budget set <cap> <MON> - Set mintValue|txFee|walletDaily|batchTotal (0 disables)\n` +
+           `/speedup <hash|wallet> - Re-send a stuck mint with higher fees\n` +
+           `/cancel <hash|wallet> - Cancel a stuck mint with a 0-value self-transfer\n` +
+           `/nonces [repair] - Show nonce state per wallet or resync it with the chain\n` +
+           `/status - Check NFT contract supply status\n` +
+           `/arm - Auto-mint as soon as the active contract opens\n` +
+           `/disarm - Stop watching for the sale to open\n\n` +
+           
+           `Scheduling:\n` +
+           `/schedule <block|ISO time> [contract] - Schedule a batch mint\n` +
+           `/schedules - List pending scheduled mints\n` +
+           `/unschedule <id> - Cancel a scheduled mint\n\n` +
            
            `Contract Management:\n` +
            `/contadd <address> [label] - Add a new contract address\n` +
            `/contuse <address> - Switch to a different contract\n` +
            `/contrem <address> - Remove a contract address\n` +
-           `/contracts - List all saved contracts\n\n` +
+           `/contracts - List all saved contracts\n` +
+           `/setmethods <mint,totalSupply,maxSupply> [args] - Set methods and mint arguments ({wallet}, {qty}, {proof})\n` +
+           `/inspectcontract [contract] - Detect mint, price, supply and limit functions from bytecode\n` +
+           `/setabi [contract] <json|reset> - Import a contract's full ABI, or upload the file with /setabi as the caption\n` +
+           `/setqty <n> - Set the {qty} value per wallet\n` +
+           `/proofs - Show allowlist proofs (upload a JSON file with caption /proofs to set)\n` +
+           `/clearproofs - Remove allowlist proofs from the active contract\n\n` +
            
            `Wallet Management:\n` +
-           `/addwallet <private_key> - Add a new wallet\n` +
+           `/addwallet <private_key> - Add a new wallet (private chat only, the message is deleted)\n` +
+           `/watch [address] [label] - Watch an address without its key, or list watched wallets\n` +
+           `/genwallets <count> [label-prefix] - Derive wallets from the stored mnemonic\n` +
+           `/genwallets import <mnemonic> - Import a BIP-39 mnemonic to derive from\n` +
+           `/rotatekey <current> <new> - Re-encrypt the wallet store under a new master password\n` +
+           `/exportwallets <password> - Download every wallet as a keystore V3 archive\n` +
+           `/importwallets [password] - Caption on an uploaded archive or CSV (key,label,groups,active)\n` +
+           `/addwallet - Caption on an uploaded text/CSV file of keys, one per line\n` +
            `/wallets - List all configured wallets\n` +
            `/togglewallet <address> - Enable/disable a wallet\n` +
+           `/group add|remove <group> <address...> - Put wallets in or take them out of a group\n` +
+           `/group list [group] - List groups, or the wallets in one\n` +
            `/removewallet <address> - Remove a wallet\n\n` +
            
            `History:\n` +
-           `/history [count] - Show recent transaction history\n` +
-           `/wallethistory <address> - Show history for a specific wallet`;
+           `/history [count] [contract] [#tokenId] [mint|fund|sweep|collect] - Show recent transaction history\n` +
+           `/wallethistory <address> - Show history for a specific wallet\n` +
+           `/reconcile - Re-check pending transactions against the chain`;
   }
   
   static helpTextHTML() {
@@ -116,23 +630,62 @@ class TelegramFormatter {
            `<b>Available Commands:</b>\n\n` +
            `<b>Minting Commands:</b>\n` +
            `/mint - Start minting with all active wallets\n` +
-           `/status - Check NFT contract supply status\n\n` +
+           `/mint dryrun - Simulate the batch and show per-wallet gas and cost\n` +
+           `/mint [strategy] [group] - Mint with a specific fee strategy and/or only one group\n` +
+           `/gas [strategy] - Show fee quotes or set eco|normal|aggressive|fixed\n` +
+           `/batch [concurrency] [delayMs] - Show or set batch concurrency and stagger\n` +
+           `/balances [group] - Show MON and NFT balances per wallet and who can afford a mint\n` +
+           `/balancealert [MON] - Show or set the low-balance alert threshold (0 disables)\n` +
+           `/budget - Show spending caps and how much of each is used\n` +
+           `/setfunder [address] - Show or set the wallet /fund sends from\n` +
+           `/fund &lt;target&gt; [group] - Top up active wallets below a MON balance (preview, then /fund confirm)\n` +
+           `/fund +&lt;amount&gt; [group] - Send a fixed MON amount to every active wallet\n` +
+           `/sweep &lt;vault&gt; [keep] [group] - Send each wallet's MON, minus keep and gas, to a vault (preview, then /sweep confirm)\n` +
+           `/collect &lt;contract&gt; &lt;vault&gt; - Transfer every NFT held on a contract to a vault\n` +
+           `/budget set &lt;cap&gt; &lt;MON&gt; - Set mintValue|txFee|walletDaily|batchTotal (0 disables)\n` +
+           `/speedup &lt;hash|wallet&gt; - Re-send a stuck mint with higher fees\n` +
+           `/cancel &lt;hash|wallet&gt; - Cancel a stuck mint with a 0-value self-transfer\n` +
+           `/nonces [repair] - Show nonce state per wallet or resync it with the chain\n` +
+           `/status - Check NFT contract supply status\n` +
+           `/arm - Auto-mint as soon as the active contract opens\n` +
+           `/disarm - Stop watching for the sale to open\n\n` +
+           
+           `<b>Scheduling:</b>\n` +
+           `/schedule &lt;block|ISO time&gt; [contract] - Schedule a batch mint\n` +
+           `/schedules - List pending scheduled mints\n` +
+           `/unschedule &lt;id&gt; - Cancel a scheduled mint\n\n` +
            
            `<b>Contract Management:</b>\n` +
            `/contadd &lt;address&gt; [label] - Add a new contract address\n` +
            `/contuse &lt;address&gt; - Switch to a different contract\n` +
            `/contrem &lt;address&gt; - Remove a contract address\n` +
-           `/contracts - List all saved contracts\n\n` +
+           `/contracts - List all saved contracts\n` +
+           `/setmethods &lt;mint,totalSupply,maxSupply&gt; [args] - Set methods and mint arguments ({wallet}, {qty}, {proof})\n` +
+           `/inspectcontract [contract] - Detect mint, price, supply and limit functions from bytecode\n` +
+           `/setabi [contract] &lt;json|reset&gt; - Import a contract's full ABI, or upload the file with /setabi as the caption\n` +
+           `/setqty &lt;n&gt; - Set the {qty} value per wallet\n` +
+           `/proofs - Show allowlist proofs (upload a JSON file with caption /proofs to set)\n` +
+           `/clearproofs - Remove allowlist proofs from the active contract\n\n` +
            
            `<b>Wallet Management:</b>\n` +
-           `/addwallet &lt;private_key&gt; - Add a new wallet\n` +
+           `/addwallet &lt;private_key&gt; - Add a new wallet (private chat only, the message is deleted)\n` +
+           `/watch [address] [label] - Watch an address without its key, or list watched wallets\n` +
+           `/genwallets &lt;count&gt; [label-prefix] - Derive wallets from the stored mnemonic\n` +
+           `/genwallets import &lt;mnemonic&gt; - Import a BIP-39 mnemonic to derive from\n` +
+           `/rotatekey &lt;current&gt; &lt;new&gt; - Re-encrypt the wallet store under a new master password\n` +
+           `/exportwallets &lt;password&gt; - Download every wallet as a keystore V3 archive\n` +
+           `/importwallets [password] - Caption on an uploaded archive or CSV (key,label,groups,active)\n` +
+           `/addwallet - Caption on an uploaded text/CSV file of keys, one per line\n` +
            `/wallets - List all configured wallets\n` +
            `/togglewallet &lt;address&gt; - Enable/disable a wallet\n` +
+           `/group add|remove &lt;group&gt; &lt;address...&gt; - Put wallets in or take them out of a group\n` +
+           `/group list [group] - List groups, or the wallets in one\n` +
            `/removewallet &lt;address&gt; - Remove a wallet\n\n` +
            
            `<b>History:</b>\n` +
-           `/history [count] - Show recent transaction history\n` +
-           `/wallethistory &lt;address&gt; - Show history for a specific wallet`;
+           `/history [count] [contract] [#tokenId] [mint|fund|sweep|collect] - Show recent transaction history\n` +
+           `/wallethistory &lt;address&gt; - Show history for a specific wallet\n` +
+           `/reconcile - Re-check pending transactions against the chain`;
   }
   
   static contractAdded(contract) {
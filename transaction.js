@@ -1,11 +1,18 @@
 // transaction.js
 const fs = require('fs');
 const { logger, logAction } = require('./logger');
+const NonceManager = require('./nonce');
+const { decodeMintedTokens, decodeEvents } = require('./events');
+const { decodeRevert } = require('./revert');
 
 class TransactionManager {
   constructor(web3) {
     this.web3 = web3;
-    this.pendingNonces = new Map();
+    this.nonceManager = new NonceManager(web3);
+    this.replacementWaiters = new Map();
+    // Hashes still being sent by this process. Their records are saved as pending before
+    // the node has seen them, so a reconcile mustn't mistake them for dropped.
+    this.inFlight = new Set();
     this.txHistory = [];
     this.maxHistoryItems = 100;
     this.historyFile = './tx_history.json';
@@ -32,12 +39,62 @@ class TransactionManager {
     }
   }
 
+  // Reserve a nonce: returns { nonce, commit(), release() }
   async getNonce(address) {
-    const onChainNonce = await this.web3.eth.getTransactionCount(address);
-    const pendingNonce = this.pendingNonces.get(address) || onChainNonce;
-    const nonce = Math.max(onChainNonce, pendingNonce);
-    this.pendingNonces.set(address, nonce + 1);
-    return nonce;
+    return this.nonceManager.reserve(address);
+  }
+
+  // Simulate a transaction with eth_call and estimateGas against the pending block. Resolves with
+  // success false only if it would revert. `abi` is used to decode custom errors in the revert data
+  async simulateTransaction(tx, abi = []) {
+    const callObject = {
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value || '0',
+      gas: tx.gas
+    };
+    
+    try {
+      await this.web3.eth.call(callObject, 'pending');
+      const gasEstimate = await this.web3.eth.estimateGas(callObject);
+      
+      if (tx.gas && gasEstimate > tx.gas) {
+        return { success: false, gasEstimate, error: `Estimated gas ${gasEstimate} exceeds gas limit ${tx.gas}` };
+      }
+      
+      return { success: true, gasEstimate };
+    } catch (error) {
+      // Only a revert is a verdict on the tx. Timeouts, rate limits and network errors are
+      // rethrown so callers can retry them.
+      const revert = decodeRevert(error, abi);
+      if (!revert) throw error;
+      
+      logger.info('Transaction simulation failed', { from: tx.from, to: tx.to, reason: revert.reason });
+      return { success: false, error: revert.reason, revert };
+    }
+  }
+  
+  // Replay a mined transaction against the state before its block to recover the revert reason
+  // the receipt doesn't carry. After the block a sold-out or per-wallet limit may no longer apply.
+  async getRevertReason(txHash, blockNumber, abi = []) {
+    try {
+      const tx = await this.web3.eth.getTransaction(txHash);
+      if (!tx) return null;
+      
+      await this.web3.eth.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.input,
+        value: tx.value,
+        gas: tx.gas
+      }, Math.max(0, blockNumber - 1));
+      
+      // Earlier txs in the same block changed the state it ran against, so the reason is lost
+      return { kind: 'empty', reason: 'reverted (reason unavailable)' };
+    } catch (error) {
+      return decodeRevert(error, abi);
+    }
   }
 
   async sendTransaction(signedTx, walletAddress, options = {}) {
@@ -54,11 +111,22 @@ class TransactionManager {
       gasLimit: options.gasLimit || 'unknown'
     };
     
+    // Mints are untagged, anything else (e.g. 'fund') carries its type
+    if (options.type) {
+      txRecord.type = options.type;
+    }
+    if (options.value) {
+      txRecord.value = options.value;
+    }
+    
+    this.applyFeeFields(txRecord, options.fees);
+    
     this.txHistory.unshift(txRecord);
     if (this.txHistory.length > this.maxHistoryItems) {
       this.txHistory.pop();
     }
     
+    this.inFlight.add(txHash);
     this.saveHistory();
     
     const timeout = options.timeout || 120000;
@@ -66,15 +134,33 @@ class TransactionManager {
       setTimeout(() => reject(new Error('Transaction timeout')), timeout);
     });
     
+    // Settled by sendReplacement if a speed-up or cancel lands instead of this tx
+    const replacedPromise = new Promise((resolve, reject) => {
+      this.replacementWaiters.set(txHash, { resolve, reject });
+    });
+    
     try {
-      const receipt = await Promise.race([
-        this.web3.eth.sendSignedTransaction(signedTx.rawTransaction),
-        timeoutPromise
-      ]);
+      let receipt;
+      try {
+        const sendPromise = this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+        if (options.onBroadcast) {
+          sendPromise.once('transactionHash', () => options.onBroadcast(txHash));
+        }
+        
+        receipt = await Promise.race([sendPromise, timeoutPromise, replacedPromise]);
+      } catch (error) {
+        // With a speed-up or cancel in flight, its outcome decides, not our timeout
+        if (!txRecord.replacedBy || error.cancelled) throw error;
+        receipt = await replacedPromise;
+      }
+      
+      if (receipt.transactionHash !== txHash) {
+        // A replacement landed and has already been recorded
+        return receipt;
+      }
       
       txRecord.status = 'confirmed';
-      txRecord.blockNumber = receipt.blockNumber;
-      txRecord.gasUsed = receipt.gasUsed;
+      this.recordReceipt(txRecord, receipt, options.abi);
       this.saveHistory();
       
       logAction('transaction_confirmed', { 
@@ -85,30 +171,341 @@ class TransactionManager {
       
       return receipt;
     } catch (error) {
-      txRecord.status = 'failed';
-      txRecord.error = error.message;
+      let failure = error;
+      
+      // Mined but reverted: web3 attaches the receipt, replay it for the reason
+      const revert = error.receipt
+        ? await this.getRevertReason(txHash, error.receipt.blockNumber, options.abi) 
+        : decodeRevert(error, options.abi);
+      
+      if (revert) {
+        failure = new Error(`Transaction reverted: ${revert.reason}`);
+        failure.revert = revert;
+        failure.receipt = error.receipt;
+      }
+      
+      // Leave records already settled by a replacement alone
+      if (txRecord.status === 'pending') {
+        txRecord.status = revert ? 'reverted' : 'failed';
+        txRecord.error = failure.message;
+        if (revert) {
+          txRecord.revertReason = revert.reason;
+        }
+        if (error.receipt) {
+          this.recordReceipt(txRecord, error.receipt, options.abi);
+        }
+      }
       this.saveHistory();
       
       logAction('transaction_failed', { 
         hash: txHash, 
         from: walletAddress, 
-        error: error.message 
+        error: failure.message 
       });
+      throw failure;
+    } finally {
+      this.replacementWaiters.delete(txHash);
+      this.inFlight.delete(txHash);
+    }
+  }
+  
+  // Copy the outcome of a receipt onto its history record, including any NFTs it minted
+  // and the events it emitted that `abi` describes
+  recordReceipt(txRecord, receipt, abi = []) {
+    txRecord.blockNumber = receipt.blockNumber;
+    txRecord.gasUsed = receipt.gasUsed;
+    if (receipt.effectiveGasPrice) {
+      txRecord.effectiveGasPrice = this.web3.utils.hexToNumberString(receipt.effectiveGasPrice);
+    }
+    
+    const mintedTokens = decodeMintedTokens(receipt);
+    if (mintedTokens.length > 0) {
+      txRecord.mintedTokens = mintedTokens;
+    }
+    receipt.mintedTokens = mintedTokens;
+    
+    const events = decodeEvents(receipt.logs, abi);
+    if (events.length > 0) {
+      txRecord.events = events;
+    }
+  }
+  
+  // Record the fee fields that were actually signed
+  applyFeeFields(txRecord, fees) {
+    if (!fees) return;
+    
+    txRecord.feeStrategy = fees.strategy;
+    txRecord.txType = fees.type;
+    if (fees.type === 2) {
+      txRecord.gasPrice = null;
+      txRecord.maxFeePerGas = fees.maxFeePerGas;
+      txRecord.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    } else {
+      txRecord.gasPrice = fees.gasPrice;
+    }
+  }
+  
+  // Latest unresolved record for a tx hash or wallet address (replacement chains resolve to their head).
+  // A tx we stopped waiting for is still unresolved while the node has it in the mempool.
+  async findPendingRecord(hashOrAddress) {
+    const key = hashOrAddress.toLowerCase();
+    const isHash = /^0x[0-9a-f]{64}$/.test(key);
+    
+    const candidates = this.txHistory.filter(tx => 
+      (isHash ? tx.hash.toLowerCase() === key : tx.from.toLowerCase() === key) &&
+      ['pending', 'failed'].includes(tx.status)
+    );
+    
+    for (let record of candidates) {
+      // Follow the chain to the most recent replacement
+      while (record.replacedBy) {
+        const next = this.txHistory.find(tx => tx.hash === record.replacedBy);
+        if (!next) break;
+        record = next;
+      }
+      
+      if (record.status === 'pending' || await this.revivePending(record)) {
+        return record;
+      }
+    }
+    
+    return null;
+  }
+  
+  // Put a timed-out record back to pending if its tx is still waiting in the mempool
+  async revivePending(record) {
+    if (record.status !== 'failed' || record.error !== 'Transaction timeout') return false;
+    
+    const onChainTx = await this.web3.eth.getTransaction(record.hash);
+    if (!onChainTx || onChainTx.blockNumber) return false;
+    
+    record.status = 'pending';
+    delete record.error;
+    this.saveHistory();
+    logAction('transaction_revived', { hash: record.hash, from: record.from });
+    return true;
+  }
+  
+  // Every record sharing a nonce with the original: the original plus its replacements
+  getReplacementGroup(originalHash) {
+    return this.txHistory.filter(tx => tx.hash === originalHash || tx.originalHash === originalHash);
+  }
+  
+  // Broadcast a speed-up or cancel that reuses the nonce of `previous`
+  async sendReplacement(signedTx, previous, kind, options = {}) {
+    const txHash = this.web3.utils.sha3(signedTx.rawTransaction);
+    const originalHash = previous.originalHash || previous.hash;
+    const original = this.txHistory.find(tx => tx.hash === originalHash) || previous;
+    
+    const txRecord = {
+      hash: txHash,
+      from: previous.from,
+      to: options.to || previous.to,
+      timestamp: Date.now(),
+      status: 'pending',
+      kind,
+      nonce: options.nonce,
+      replaces: previous.hash,
+      originalHash,
+      gasLimit: options.gasLimit || 'unknown'
+    };
+    this.applyFeeFields(txRecord, options.fees);
+    
+    previous.replacedBy = txHash;
+    original.replacements = [...(original.replacements || []), txHash];
+    this.txHistory.unshift(txRecord);
+    this.inFlight.add(txHash);
+    this.saveHistory();
+    
+    logAction('transaction_replacement_sent', { hash: txHash, replaces: previous.hash, kind });
+    
+    const timeout = options.timeout || 120000;
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Transaction timeout')), timeout);
+    });
+    
+    try {
+      const receipt = await Promise.race([
+        this.web3.eth.sendSignedTransaction(signedTx.rawTransaction),
+        timeoutPromise
+      ]);
       
-      if (error.message.includes('nonce') || error.message.includes('underpriced')) {
-        this.pendingNonces.delete(walletAddress);
+      this.settleReplacementGroup(originalHash, txHash, receipt);
+      return receipt;
+    } catch (error) {
+      if (txRecord.status === 'pending') {
+        txRecord.status = 'failed';
+        txRecord.error = error.message;
+      }
+      this.saveHistory();
+      
+      // "nonce too low" and friends mean another tx in the group got there first
+      const landed = await this.reconcileReplacementGroup(originalHash);
+      
+      // Only give up on the original if this was the newest attempt and nothing landed
+      const waiter = this.replacementWaiters.get(originalHash);
+      if (!landed && waiter && !txRecord.replacedBy) {
+        waiter.reject(error);
       }
       throw error;
+    } finally {
+      this.inFlight.delete(txHash);
     }
   }
+  
+  // Mark the landed tx confirmed, the rest of its group replaced, and release anyone waiting on the original
+  settleReplacementGroup(originalHash, landedHash, receipt) {
+    const group = this.getReplacementGroup(originalHash);
+    const landed = group.find(tx => tx.hash === landedHash);
+    const original = group.find(tx => tx.hash === originalHash);
+    
+    group.forEach(tx => {
+      if (tx.hash === landedHash) {
+        tx.status = 'confirmed';
+        this.recordReceipt(tx, receipt);
+      } else {
+        tx.status = tx.originalHash ? 'dropped' : 'replaced';
+      }
+    });
+    
+    if (original) {
+      original.landedHash = landedHash;
+      original.outcome = landed && landed.kind === 'cancel' ? 'cancelled' : 'minted';
+    }
+    this.saveHistory();
+    
+    logAction('transaction_group_settled', { originalHash, landedHash, outcome: original && original.outcome });
+    
+    const waiter = this.replacementWaiters.get(originalHash);
+    if (waiter && landedHash !== originalHash) {
+      if (landed && landed.kind === 'cancel') {
+        const error = new Error('Transaction cancelled');
+        error.cancelled = true;
+        waiter.reject(error);
+      } else {
+        waiter.resolve(receipt);
+      }
+    }
+  }
+  
+  // Look up receipts for every tx in a replacement group and settle on whichever landed
+  async reconcileReplacementGroup(originalHash) {
+    for (const tx of this.getReplacementGroup(originalHash)) {
+      try {
+        const receipt = await this.web3.eth.getTransactionReceipt(tx.hash);
+        if (receipt) {
+          this.settleReplacementGroup(originalHash, tx.hash, receipt);
+          return tx;
+        }
+      } catch (error) {
+        logger.warn('Error fetching receipt during reconciliation', { hash: tx.hash, error: error.message });
+      }
+    }
+    return null;
+  }
 
-  getTransactionHistory(address = null, limit = 10) {
+  // Re-check every pending or timed-out record against the chain. Returns what changed.
+  // `getAbi(address)` gives the ABI to decode each record's errors and events with.
+  async reconcilePending(getAbi = () => []) {
+    const candidates = this.txHistory.filter(tx => 
+      tx.status === 'pending' || 
+      (tx.status === 'failed' && tx.error === 'Transaction timeout')
+    );
+    
+    const changes = [];
+    let stillPending = 0;
+    
+    for (const tx of candidates) {
+      // A replacement group may already have been settled by an earlier iteration
+      if (!['pending', 'failed'].includes(tx.status)) continue;
+      // Still being sent: the node may not have it yet, and sendTransaction will settle it
+      if (this.inFlight.has(tx.hash)) {
+        stillPending++;
+        continue;
+      }
+      
+      const previous = tx.status;
+      const abi = tx.to && tx.to !== 'unknown' ? getAbi(tx.to) : [];
+      try {
+        const receipt = await this.web3.eth.getTransactionReceipt(tx.hash);
+        
+        if (receipt) {
+          if (tx.originalHash || tx.replacements) {
+            this.settleReplacementGroup(tx.originalHash || tx.hash, tx.hash, receipt);
+          }
+          tx.status = receipt.status === false ? 'reverted' : 'confirmed';
+          this.recordReceipt(tx, receipt, abi);
+          delete tx.error;
+          
+          if (tx.status === 'reverted') {
+            const revert = await this.getRevertReason(tx.hash, receipt.blockNumber, abi);
+            if (revert) tx.revertReason = revert.reason;
+          }
+        } else if (await this.web3.eth.getTransaction(tx.hash)) {
+          stillPending++;
+          if (tx.status === 'pending') continue;
+          
+          // We gave up waiting but it is still in the mempool, so it isn't failed
+          tx.status = 'pending';
+          delete tx.error;
+        } else {
+          tx.status = 'dropped';
+        }
+        
+        changes.push({ hash: tx.hash, from: tx.from, previous, status: tx.status, blockNumber: tx.blockNumber });
+      } catch (error) {
+        logger.warn('Error reconciling transaction', { hash: tx.hash, error: error.message });
+      }
+    }
+    
+    if (changes.length > 0) {
+      this.saveHistory();
+    }
+    
+    logAction('transactions_reconciled', { checked: candidates.length, changed: changes.length, stillPending });
+    return { checked: candidates.length, changes, stillPending };
+  }
+
+  getTransactionHistory(address = null, limit = 10, filters = {}) {
+    // Replacements are shown under their original record
+    let history = this.txHistory.filter(tx => !tx.originalHash);
+    
     if (address) {
-      return this.txHistory
-        .filter(tx => tx.from.toLowerCase() === address.toLowerCase())
-        .slice(0, limit);
+      history = history.filter(tx => tx.from.toLowerCase() === address.toLowerCase());
+    }
+    
+    if (filters.contract) {
+      const contract = filters.contract.toLowerCase();
+      history = history.filter(tx => 
+        (tx.to && tx.to.toLowerCase() === contract) ||
+        this.getMintedTokens(tx).some(t => t.contract.toLowerCase() === contract)
+      );
+    }
+    
+    if (filters.type) {
+      history = history.filter(tx => (tx.type || 'mint') === filters.type);
+    }
+    
+    if (filters.tokenId) {
+      history = history.filter(tx => 
+        this.getMintedTokens(tx).some(t => t.tokenId === filters.tokenId)
+      );
     }
-    return this.txHistory.slice(0, limit);
+    
+    return history.slice(0, limit);
+  }
+  
+  // Tokens minted by a logical transaction, whichever of its replacements landed
+  getMintedTokens(record) {
+    if (record.mintedTokens) return record.mintedTokens;
+    const landed = record.landedHash && this.txHistory.find(tx => tx.hash === record.landedHash);
+    return (landed && landed.mintedTokens) || [];
+  }
+  
+  getReplacements(record) {
+    return (record.replacements || [])
+      .map(hash => this.txHistory.find(tx => tx.hash === hash))
+      .filter(Boolean);
   }
 }
 
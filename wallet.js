@@ -3,11 +3,49 @@ const crypto = require('crypto');
 const fs = require('fs');
 const { logger, logAction } = require('./logger');
 const Validator = require('./validation');
+const { generateMnemonic, mnemonicToSeedSync, validateMnemonic } = require('ethereum-cryptography/bip39');
+const { wordlist } = require('ethereum-cryptography/bip39/wordlists/english');
+const { HDKey } = require('ethereum-cryptography/hdkey');
+
+// BIP-44 Ethereum path, wallets are derived at <path>/<index>
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+// Current wallet store format: { version, kdf, keyCheck, wallets, seed }. Version 1 was a bare wallet array.
+const STORE_VERSION = 2;
+
+// Encrypted into the store header so a wrong master password is caught at startup
+const KEY_CHECK_VALUE = 'monad-mint-key-check';
+
+// Key derivation used by version 1 stores
+const LEGACY_KDF = { name: 'pbkdf2', salt: 'monad-mint-salt', iterations: 100000, digest: 'sha512' };
 
 class WalletEncryption {
-  constructor(masterPassword) {
+  constructor(masterPassword, kdf = LEGACY_KDF) {
     this.algorithm = 'aes-256-gcm';
-    this.key = crypto.pbkdf2Sync(masterPassword, 'monad-mint-salt', 100000, 32, 'sha512');
+    this.kdf = kdf;
+    this.key = WalletEncryption.deriveKey(masterPassword, kdf);
+  }
+
+  // Fresh scrypt parameters with a random per-store salt
+  static createKdf() {
+    return { name: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), N: 32768, r: 8, p: 1, keyLength: 32 };
+  }
+
+  static deriveKey(masterPassword, kdf) {
+    if (kdf.name === 'pbkdf2') {
+      return crypto.pbkdf2Sync(masterPassword, kdf.salt, kdf.iterations, 32, kdf.digest);
+    }
+    if (kdf.name === 'scrypt') {
+      return crypto.scryptSync(masterPassword, Buffer.from(kdf.salt, 'hex'), kdf.keyLength, {
+        N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r
+      });
+    }
+    throw new Error(`Unsupported KDF '${kdf.name}'`);
+  }
+
+  // Check a password against this key without keeping it
+  matches(masterPassword) {
+    return crypto.timingSafeEqual(this.key, WalletEncryption.deriveKey(masterPassword, this.kdf));
   }
 
   encrypt(walletKey) {
@@ -19,6 +57,19 @@ class WalletEncryption {
     return { iv: iv.toString('hex'), encryptedData: encrypted, authTag };
   }
 
+  // Key-check value for the store header
+  createCheck() {
+    return this.encrypt(KEY_CHECK_VALUE);
+  }
+
+  verifyCheck(check) {
+    try {
+      return this.decrypt(check) === KEY_CHECK_VALUE;
+    } catch (error) {
+      return false;
+    }
+  }
+
   decrypt(encryptedWallet) {
     const iv = Buffer.from(encryptedWallet.iv, 'hex');
     const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
@@ -29,31 +80,172 @@ class WalletEncryption {
   }
 }
 
+// Write to a temp file and rename over the target so a crash never leaves a half-written store
+function writeFileAtomic(file, data) {
+  const tmpFile = `${file}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w', 0o600);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+// Decrypt every secret in a store and re-encrypt it under `to`
+function reencryptStore(store, from, to) {
+  return {
+    ...store,
+    version: STORE_VERSION,
+    kdf: to.kdf,
+    keyCheck: to.createCheck(),
+    wallets: store.wallets.map(wallet => wallet.watchOnly 
+      ? wallet 
+      : { ...wallet, encryptedKey: to.encrypt(from.decrypt(wallet.encryptedKey)) }),
+    seed: store.seed 
+      ? { ...store.seed, encryptedMnemonic: to.encrypt(from.decrypt(store.seed.encryptedMnemonic)) } 
+      : null
+  };
+}
+
 class WalletManager {
-  constructor(masterPassword, web3Instance) {
-    this.encryption = new WalletEncryption(masterPassword);
-    this.walletFile = './secure_wallets.json';
-    this.wallets = this.loadWallets();
+  constructor(masterPassword, web3Instance, walletFile = './secure_wallets.json') {
+    this.walletFile = walletFile;
+    this.legacySeedFile = './hd_seed.json';
     this.web3 = web3Instance;
+    this.loadStore(masterPassword);
+  }
+
+  static readStore(walletFile) {
+    if (!fs.existsSync(walletFile)) {
+      return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(walletFile, 'utf8'));
+    if (Array.isArray(data)) {
+      return { version: 1, kdf: LEGACY_KDF, wallets: data, seed: null };
+    }
+    if (data.version > STORE_VERSION) {
+      throw new Error(`Wallet store version ${data.version} is newer than this bot supports`);
+    }
+    return data;
   }
 
-  loadWallets() {
+  loadStore(masterPassword) {
+    let store;
     try {
-      if (fs.existsSync(this.walletFile)) {
-        return JSON.parse(fs.readFileSync(this.walletFile, 'utf8'));
-      }
-      return [];
+      store = WalletManager.readStore(this.walletFile);
     } catch (error) {
       logger.error('Error loading wallets:', error);
-      return [];
+      throw error;
+    }
+
+    // A mnemonic generated before it moved into the store is still under the legacy key
+    const legacySeed = this.loadLegacySeed();
+    if (!store && legacySeed) {
+      store = { version: 1, kdf: LEGACY_KDF, wallets: [], seed: null };
+    }
+
+    if (!store) {
+      this.encryption = new WalletEncryption(masterPassword, WalletEncryption.createKdf());
+      this.wallets = [];
+      this.seed = null;
+      return;
     }
+
+    this.encryption = new WalletEncryption(masterPassword, store.kdf);
+    this.wallets = store.wallets;
+    this.seed = store.seed || null;
+
+    // Refuse to run with a key that doesn't open the store, anything added would be
+    // encrypted under a second key
+    if (store.version === STORE_VERSION && !this.encryption.verifyCheck(store.keyCheck)) {
+      throw new Error('Master password does not match the wallet store');
+    }
+
+    // Upgrade version 1 stores to scrypt with a per-store salt
+    if (store.version < STORE_VERSION) {
+      const upgraded = new WalletEncryption(masterPassword, WalletEncryption.createKdf());
+      let migrated;
+      try {
+        migrated = reencryptStore({ wallets: this.wallets, seed: this.seed || legacySeed }, this.encryption, upgraded);
+      } catch (error) {
+        throw new Error('Master password does not match the wallet store, refusing to upgrade it');
+      }
+      this.encryption = upgraded;
+      this.wallets = migrated.wallets;
+      this.seed = migrated.seed;
+      this.saveWallets();
+      this.removeLegacySeed();
+      logAction('wallet_store_upgraded', { from: store.version, to: STORE_VERSION, wallets: this.wallets.length });
+    }
+  }
+
+  // Mnemonics used to live in their own file, they are kept in the wallet store now
+  loadLegacySeed() {
+    try {
+      if (fs.existsSync(this.legacySeedFile)) {
+        return JSON.parse(fs.readFileSync(this.legacySeedFile, 'utf8'));
+      }
+      return null;
+    } catch (error) {
+      logger.error('Error loading HD seed:', error);
+      return null;
+    }
+  }
+
+  removeLegacySeed() {
+    if (fs.existsSync(this.legacySeedFile)) {
+      fs.unlinkSync(this.legacySeedFile);
+    }
+  }
+
+  saveSeed() {
+    this.saveWallets();
   }
 
   saveWallets() {
-    fs.writeFileSync(this.walletFile, JSON.stringify(this.wallets, null, 2));
+    const store = {
+      version: STORE_VERSION,
+      kdf: this.encryption.kdf,
+      keyCheck: this.encryption.createCheck(),
+      wallets: this.wallets,
+      seed: this.seed
+    };
+    writeFileAtomic(this.walletFile, JSON.stringify(store, null, 2));
+  }
+
+  // Re-encrypt every key and the mnemonic under a new password and fresh salt, in one atomic write
+  rotatePassword(currentPassword, newPassword) {
+    if (!this.encryption.matches(currentPassword)) {
+      throw new Error('Current master password is incorrect');
+    }
+    WalletManager.checkPasswordStrength(newPassword);
+
+    const next = new WalletEncryption(newPassword, WalletEncryption.createKdf());
+    const rotated = reencryptStore({ wallets: this.wallets, seed: this.seed }, this.encryption, next);
+    writeFileAtomic(this.walletFile, JSON.stringify(rotated, null, 2));
+
+    this.encryption = next;
+    this.wallets = rotated.wallets;
+    this.seed = rotated.seed;
+    logAction('master_password_rotated', { wallets: this.getSigningWallets().length, mnemonic: Boolean(this.seed) });
+    return this.getSigningWallets().length;
+  }
+
+  // `label` names the password in the error, e.g. 'Archive password' for /exportwallets
+  static checkPasswordStrength(password, label = 'New master password') {
+    if (!password || password.length < 12) {
+      throw new Error(`${label} must be at least 12 characters`);
+    }
+    if (password === 'change-this-in-production') {
+      throw new Error(`${label} must not be the default master password`);
+    }
   }
 
-  addWallet(privateKey, label = '') {
+  // `metadata` is stored alongside the wallet, e.g. its HD derivation index
+  addWallet(privateKey, label = '', metadata = {}) {
     const cleanKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
     if (!Validator.isValidPrivateKey(cleanKey)) {
       throw new Error('Invalid private key format');
@@ -75,7 +267,8 @@ class WalletManager {
       label: label || `Wallet ${this.wallets.length + 1}`,
       active: true,
       lastUsed: null,
-      addedAt: Date.now()
+      addedAt: Date.now(),
+      ...metadata
     });
 
     this.saveWallets();
@@ -83,15 +276,221 @@ class WalletManager {
     return account.address;
   }
 
+  // Track an address we hold no key for. It shows up in balances and history but never signs.
+  addWatchWallet(address, label = '') {
+    if (!Validator.isValidAddress(address)) {
+      throw new Error('Invalid wallet address');
+    }
+    if (this.wallets.some(w => w.address.toLowerCase() === address.toLowerCase())) {
+      throw new Error('Wallet already exists');
+    }
+
+    const checksummed = this.web3.utils.toChecksumAddress(address);
+    this.wallets.push({
+      address: checksummed,
+      label: label || `Watch ${this.getWatchWallets().length + 1}`,
+      watchOnly: true,
+      active: true,
+      lastUsed: null,
+      addedAt: Date.now()
+    });
+
+    this.saveWallets();
+    logAction('watch_wallet_added', { address: checksummed });
+    return checksummed;
+  }
+
+  hasMnemonic() {
+    return this.seed !== null;
+  }
+
+  // Store a mnemonic (a fresh one if none is given) to derive wallets from. Returns it so it can be shown once.
+  setMnemonic(mnemonic = null, path = DEFAULT_HD_PATH) {
+    if (this.seed) {
+      throw new Error('A mnemonic is already stored, wallets are derived from it');
+    }
+
+    const phrase = mnemonic 
+      ? mnemonic.trim().toLowerCase().split(/\s+/).join(' ') 
+      : generateMnemonic(wordlist, 128);
+    if (!validateMnemonic(phrase, wordlist)) {
+      throw new Error('Invalid BIP-39 mnemonic');
+    }
+
+    this.seed = {
+      encryptedMnemonic: this.encryption.encrypt(phrase),
+      path,
+      nextIndex: 0,
+      createdAt: Date.now()
+    };
+    this.saveSeed();
+    logAction('mnemonic_stored', { imported: Boolean(mnemonic), path });
+    return phrase;
+  }
+
+  // Derive the next `count` wallets from the stored mnemonic and add them
+  deriveWallets(count, labelPrefix = 'HD') {
+    if (!this.seed) {
+      throw new Error('No mnemonic stored');
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Count must be a positive integer');
+    }
+
+    const root = HDKey.fromMasterSeed(mnemonicToSeedSync(this.encryption.decrypt(this.seed.encryptedMnemonic)));
+    const added = [];
+
+    while (added.length < count) {
+      const index = this.seed.nextIndex++;
+      const derivationPath = `${this.seed.path}/${index}`;
+      const privateKey = '0x' + Buffer.from(root.derive(derivationPath).privateKey).toString('hex');
+
+      try {
+        const address = this.addWallet(privateKey, `${labelPrefix} ${index}`, { derivationIndex: index, derivationPath });
+        added.push({ address, index });
+      } catch (error) {
+        // Already added (e.g. by /addwallet), move on to the next index
+        if (error.message !== 'Wallet already exists') throw error;
+      }
+    }
+
+    this.saveSeed();
+    logAction('wallets_derived', { count: added.length, from: added[0].index, to: added[added.length - 1].index });
+    return added;
+  }
+
+  // Add wallets from a backup or key file ({ source, privateKey, label, groups, active } or { source, error }).
+  // Returns one { source, status, address, reason } per entry, status being added, duplicate or invalid.
+  importWallets(entries) {
+    const results = entries.map(entry => {
+      if (entry.error) {
+        return { source: entry.source, status: 'invalid', reason: entry.error };
+      }
+
+      const groups = (entry.groups || []).filter(group => WalletManager.isValidGroupName(group));
+      try {
+        const address = this.addWallet(entry.privateKey, entry.label, {
+          active: entry.active !== false,
+          ...(groups.length > 0 ? { groups } : {})
+        });
+        return { source: entry.source, status: 'added', address };
+      } catch (error) {
+        const status = error.message === 'Wallet already exists' ? 'duplicate' : 'invalid';
+        return { source: entry.source, status, reason: error.message };
+      }
+    });
+
+    logAction('wallets_imported', {
+      added: results.filter(r => r.status === 'added').length,
+      skipped: results.filter(r => r.status !== 'added').length
+    });
+    return results;
+  }
+
   getWallet(address) {
     const wallet = this.wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
     if (!wallet) return null;
+    if (wallet.watchOnly) return { ...wallet, privateKey: null };
     const privateKey = this.encryption.decrypt(wallet.encryptedKey);
     return { ...wallet, privateKey };
   }
 
-  getActiveWallets() {
-    return this.wallets.filter(w => w.active);
+  // The wallet /fund sends from, only one at a time
+  setFunder(address) {
+    const wallet = this.wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+    if (wallet.watchOnly) {
+      throw new Error('A watch-only wallet can\'t fund others');
+    }
+
+    this.wallets.forEach(w => delete w.funder);
+    wallet.funder = true;
+    this.saveWallets();
+    logAction('funder_set', { address: wallet.address });
+    return wallet.address;
+  }
+
+  getFunder() {
+    return this.wallets.find(w => w.funder) || null;
+  }
+
+  // All wallets including watch-only ones, or only the members of `group`
+  getAllWallets(group = null) {
+    return group ? this.wallets.filter(w => (w.groups || []).includes(group)) : this.wallets;
+  }
+
+  // Wallets we hold keys for, the only ones that can mint, fund, sweep or collect
+  getSigningWallets(group = null) {
+    return this.getAllWallets(group).filter(w => !w.watchOnly);
+  }
+
+  getActiveWallets(group = null) {
+    return this.getSigningWallets(group).filter(w => w.active);
+  }
+
+  getWatchWallets(group = null) {
+    return this.getAllWallets(group).filter(w => w.watchOnly);
+  }
+
+  static isValidGroupName(name) {
+    // At least one letter so a group can't be mistaken for an amount
+    return /^(?=.*[a-zA-Z])[a-zA-Z0-9_-]{1,32}$/.test(name);
+  }
+
+  // Add wallets to a group, creating it on first use. Returns the addresses that were found.
+  addToGroup(group, addresses) {
+    if (!WalletManager.isValidGroupName(group)) {
+      throw new Error('Group names need a letter and may only contain letters, digits, - and _ (max 32)');
+    }
+
+    const updated = [];
+    addresses.forEach(address => {
+      const wallet = this.wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+      if (!wallet) return;
+
+      wallet.groups = [...new Set([...(wallet.groups || []), group])];
+      updated.push(wallet.address);
+    });
+
+    if (updated.length > 0) {
+      this.saveWallets();
+      logAction('wallets_grouped', { group, addresses: updated });
+    }
+    return updated;
+  }
+
+  removeFromGroup(group, addresses) {
+    const updated = [];
+    addresses.forEach(address => {
+      const wallet = this.wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+      if (!wallet || !(wallet.groups || []).includes(group)) return;
+
+      wallet.groups = wallet.groups.filter(g => g !== group);
+      updated.push(wallet.address);
+    });
+
+    if (updated.length > 0) {
+      this.saveWallets();
+      logAction('wallets_ungrouped', { group, addresses: updated });
+    }
+    return updated;
+  }
+
+  // Group name -> member wallets
+  getGroups() {
+    const groups = {};
+    this.wallets.forEach(wallet => {
+      (wallet.groups || []).forEach(group => {
+        groups[group] = [...(groups[group] || []), wallet];
+      });
+    });
+    return groups;
+  }
+
+  hasGroup(group) {
+    return this.wallets.some(w => (w.groups || []).includes(group));
   }
 
   toggleWallet(address) {
@@ -139,5 +538,7 @@ class WalletManager {
 
 module.exports = {
   WalletEncryption,
-  WalletManager
+  WalletManager,
+  writeFileAtomic,
+  reencryptStore
 };
@@ -0,0 +1,192 @@
+// watcher.js
+const { logger, logAction } = require('./logger');
+
+// Common sale-state getters, probed individually since most contracts only have one or two
+const SALE_STATE_ABI = [{
+  "inputs": [],
+  "name": "paused",
+  "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+  "stateMutability": "view",
+  "type": "function"
+}, {
+  "inputs": [],
+  "name": "saleActive",
+  "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+  "stateMutability": "view",
+  "type": "function"
+}, {
+  "inputs": [],
+  "name": "publicSaleOpen",
+  "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+  "stateMutability": "view",
+  "type": "function"
+}, {
+  "inputs": [],
+  "name": "totalSupply",
+  "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+  "stateMutability": "view",
+  "type": "function"
+}];
+
+// Method name -> value that means minting is open
+const SALE_FLAGS = {
+  paused: false,
+  saleActive: true,
+  publicSaleOpen: true
+};
+
+class SaleWatcher {
+  constructor(web3Instance, onOpen, options = {}) {
+    this.web3 = web3Instance;
+    this.onOpen = onOpen;
+    this.pollInterval = options.pollInterval || 500;
+    this.armed = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  isArmed() {
+    return this.armed !== null;
+  }
+
+  getStatus() {
+    return this.armed;
+  }
+
+  // Read every supported sale flag plus totalSupply; missing methods are left out
+  async readSaleState(contract, blockNumber = 'latest') {
+    const state = { flags: {}, totalSupply: null };
+
+    for (const method of Object.keys(SALE_FLAGS)) {
+      try {
+        state.flags[method] = await contract.methods[method]().call({}, blockNumber);
+      } catch (e) {
+        // Method not implemented by this contract
+      }
+    }
+
+    try {
+      state.totalSupply = await contract.methods.totalSupply().call({}, blockNumber);
+    } catch (e) {
+      // No totalSupply, rely on flags only
+    }
+
+    return state;
+  }
+
+  // Returns a reason string if the state shows minting is open, otherwise null. Every flag the
+  // contract has must be open: paused()=false alone says nothing if saleActive() is still false.
+  detectOpen(state) {
+    // Once armed, a flag whose read failed this time counts as not open
+    const flags = this.armed ? this.armed.watching : Object.keys(state.flags);
+    if (flags.length > 0 && flags.every(method => state.flags[method] === SALE_FLAGS[method])) {
+      return flags.map(method => `${method}() is ${SALE_FLAGS[method]}`).join(', ');
+    }
+
+    if (this.armed && this.armed.initialSupply !== null && state.totalSupply !== null &&
+        this.web3.utils.toBN(state.totalSupply).gt(this.web3.utils.toBN(this.armed.initialSupply))) {
+      return `totalSupply increased from ${this.armed.initialSupply} to ${state.totalSupply}`;
+    }
+
+    return null;
+  }
+
+  async arm(contractAddress, chatId) {
+    if (this.isArmed()) {
+      throw new Error(`Already armed on ${this.armed.contractAddress}. Use /disarm first.`);
+    }
+
+    const contract = new this.web3.eth.Contract(SALE_STATE_ABI, contractAddress);
+    const blockNumber = await this.web3.eth.getBlockNumber();
+    const state = await this.readSaleState(contract, blockNumber);
+
+    if (Object.keys(state.flags).length === 0 && state.totalSupply === null) {
+      throw new Error('Contract exposes none of paused(), saleActive(), publicSaleOpen() or totalSupply()');
+    }
+
+    const openReason = this.detectOpen(state);
+    if (openReason) {
+      throw new Error(`Minting already appears open: ${openReason}`);
+    }
+
+    this.armed = {
+      contractAddress,
+      chatId,
+      contract,
+      watching: Object.keys(state.flags),
+      initialSupply: state.totalSupply,
+      armedAtBlock: blockNumber,
+      lastBlock: blockNumber,
+      armedAt: Date.now()
+    };
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    logAction('watcher_armed', {
+      contractAddress,
+      watching: this.armed.watching,
+      initialSupply: state.totalSupply,
+      block: blockNumber
+    });
+
+    return this.armed;
+  }
+
+  disarm() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const wasArmed = this.armed;
+    this.armed = null;
+
+    if (wasArmed) {
+      logAction('watcher_disarmed', { contractAddress: wasArmed.contractAddress });
+    }
+    return wasArmed;
+  }
+
+  async poll() {
+    if (this.polling || !this.armed) return;
+    this.polling = true;
+
+    try {
+      const blockNumber = await this.web3.eth.getBlockNumber();
+      if (blockNumber <= this.armed.lastBlock) return;
+
+      // Check every block we haven't seen so the opening block is exact
+      for (let block = this.armed.lastBlock + 1; block <= blockNumber && this.armed; block++) {
+        const state = await this.readSaleState(this.armed.contract, block);
+        this.armed.lastBlock = block;
+
+        const reason = this.detectOpen(state);
+        if (reason) {
+          const trigger = {
+            ...this.disarm(),
+            reason,
+            openedAtBlock: block,
+            detectedAtBlock: blockNumber
+          };
+
+          logAction('sale_open_detected', {
+            contractAddress: trigger.contractAddress,
+            reason,
+            openedAtBlock: block,
+            detectedAtBlock: blockNumber
+          });
+
+          Promise.resolve(this.onOpen(trigger)).catch(error => {
+            logger.error('Sale-open mint failed', { error: error.message });
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error('Sale watcher poll error', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = SaleWatcher;